@@ -1,7 +1,7 @@
 // ==Module==
 // @name         VRCX-Extended Modular Loader
 // @namespace    http://tampermonkey.net/
-// @version      5.1
+// @version      5.2
 // @description  VRCX-Extended modular system - minimal loader for future-proofing
 // @author       AI
 // @match        *://*/*
@@ -17,7 +17,7 @@
 
     // System information
     const SYSTEM_INFO = {
-        version: '5.1.1',
+        version: '5.2.0',
         loadedAt: new Date().toISOString(),
         userAgent: navigator.userAgent,
         url: window.location.href
@@ -38,9 +38,27 @@
             modules: 'file://vrcx/extended/modules',
             html: 'file://vrcx/extended/html',
             stylesheets: 'file://vrcx/extended/stylesheet'
-        }
+        },
+        // Hold this key while VRCX starts to enter safe mode (no plugins or themes)
+        safeModeKey: 'Shift'
+    };
+
+    // Startup state handed to the module system
+    const bootState = {
+        safeModeKeyHeld: false
     };
 
+    /**
+     * Remember if the safe mode key is held while VRCX starts
+     * @param {KeyboardEvent} event - Key event
+     */
+    function onSafeModeKey(event) {
+        if (event.key === CONFIG.safeModeKey) {
+            bootState.safeModeKeyHeld = true;
+        }
+    }
+    window.addEventListener('keydown', onSafeModeKey);
+
     /**
      * Get the appropriate module system URL based on debug mode
      * @returns {string} URL for the module system
@@ -269,6 +287,7 @@
             
             // Initialize debug settings if enabled
             initializeDebugSettings();
+            window.VRCXExtended.bootState = bootState;
             
             // Load module system with retries
             let retryCount = 0;
@@ -379,6 +398,8 @@ If the problem persists, please report this issue with the error details from th
 
         Promise.race([main(), timeoutPromise]).catch(error => {
             console.error('❌ VRCX-Extended startup failed or timed out:', error);
+        }).finally(() => {
+            window.removeEventListener('keydown', onSafeModeKey);
         });
     }
 
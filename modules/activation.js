@@ -0,0 +1,169 @@
+// ==Module==
+// @name         VRCX-Extended Activation
+// @description  Decides when plugins may run (@run-at) and on which VRCX pages (@match)
+// ==Module==
+
+/**
+ * Activation module for VRCX-Extended
+ * Plugins declare when they start with @run-at and where they are active with @match:
+ *
+ *   // @run-at  app-mounted
+ *   // @match   friendList, search
+ *
+ * The injection system waits for the run-at condition, starts the plugin while the active
+ * VRCX menu page matches and stops it (running its cleanups) when the user navigates away.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.Activation = {
+  // Supported @run-at modes, in the order they become true during startup
+  RUN_AT: ['immediate', 'dom-ready', 'app-mounted', 'after-login'],
+
+  // Other spellings accepted for @run-at (including userscript values)
+  RUN_AT_ALIASES: {
+    'document-start': 'immediate',
+    'document-body': 'dom-ready',
+    'document-end': 'dom-ready',
+    'document-idle': 'app-mounted',
+    'dom-content-loaded': 'dom-ready',
+    'mounted': 'app-mounted',
+    'login': 'after-login',
+    'logged-in': 'after-login'
+  },
+
+  // How often the page and readiness are checked (ms)
+  POLL_INTERVAL: 500,
+
+  state: {
+    timer: null,
+    signature: null
+  },
+
+  /**
+   * Normalize a @run-at value
+   * @param {string} value - Declared value
+   * @returns {string} One of RUN_AT (unknown values run immediately)
+   */
+  normalizeRunAt(value) {
+    const key = String(value || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    const runAt = this.RUN_AT_ALIASES[key] || key;
+    return this.RUN_AT.includes(runAt) ? runAt : 'immediate';
+  },
+
+  /**
+   * Check whether a run-at condition is met
+   * @param {string} runAt - Normalized run-at mode
+   * @returns {boolean} True when the plugin may start
+   */
+  isReady(runAt) {
+    switch (runAt) {
+      case 'dom-ready':
+        return document.readyState !== 'loading';
+      case 'app-mounted':
+        return this.isAppMounted();
+      case 'after-login':
+        return this.isAppMounted() && this.isLoggedIn();
+      default:
+        return true;
+    }
+  },
+
+  /**
+   * Check whether the VRCX app has rendered
+   * @returns {boolean} True when the app shell is in the DOM
+   */
+  isAppMounted() {
+    return document.readyState !== 'loading' && !!document.querySelector('.x-app');
+  },
+
+  /**
+   * Check whether a VRChat user is logged in to VRCX
+   * @returns {boolean} True when logged in
+   */
+  isLoggedIn() {
+    return window.$app?.isLoggedIn === true ||
+      window.API?.isLoggedIn === true ||
+      !!window.API?.currentUser?.id;
+  },
+
+  /**
+   * Get the active VRCX menu page (e.g. 'feed', 'friendList', 'search')
+   * @returns {string|null} Page index, or null when unknown
+   */
+  getActivePage() {
+    return window.$app?.menuActiveIndex || null;
+  },
+
+  /**
+   * Check whether the active page matches @match patterns ('*' matches any characters)
+   * @param {Array<string>} patterns - Page patterns; an empty list matches every page
+   * @returns {boolean} True when the plugin should be active on this page
+   */
+  matchesPage(patterns) {
+    if (!patterns || !patterns.length) return true;
+
+    const page = this.getActivePage();
+    if (!page) return false;
+
+    return patterns.some(pattern => {
+      const source = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      return new RegExp('^' + source + '$', 'i').test(page);
+    });
+  },
+
+  /**
+   * Explain why a plugin is not active yet
+   * @param {Object} meta - Resolved plugin metadata
+   * @returns {string|null} Reason, or null when the plugin may run now
+   */
+  getWaitReason(meta) {
+    const runAt = this.normalizeRunAt(meta.runAt);
+    if (!this.isReady(runAt)) {
+      return {
+        'dom-ready': 'waiting for the page to load',
+        'app-mounted': 'waiting for VRCX to start',
+        'after-login': 'waiting for login'
+      }[runAt];
+    }
+    if (!this.matchesPage(meta.match)) {
+      return 'only active on ' + meta.match.join(', ');
+    }
+    return null;
+  },
+
+  /**
+   * Call back whenever readiness or the active page changes
+   * @param {Function} callback - Called with no arguments
+   */
+  watch(callback) {
+    this.unwatch();
+    this.state.signature = this.getSignature();
+    this.state.timer = setInterval(() => {
+      const signature = this.getSignature();
+      if (signature === this.state.signature) return;
+      this.state.signature = signature;
+      callback();
+    }, this.POLL_INTERVAL);
+  },
+
+  /**
+   * Stop watching for changes
+   */
+  unwatch() {
+    clearInterval(this.state.timer);
+    this.state.timer = null;
+  },
+
+  /**
+   * Snapshot of everything activation depends on
+   * @returns {string} Signature string
+   */
+  getSignature() {
+    return [
+      document.readyState !== 'loading',
+      this.isAppMounted(),
+      this.isLoggedIn(),
+      this.getActivePage()
+    ].join('|');
+  }
+};
@@ -15,6 +15,11 @@ window.VRCXExtended.Config = {
     PLUGINS: 'vrcx_mm_plugins',
     THEMES: 'vrcx_mm_themes',
     SETTINGS: 'vrcx_extended_settings',
+    PLUGIN_SETTINGS: 'vrcx_extended_plugin_settings',
+    PLUGIN_ERRORS: 'vrcx_extended_plugin_errors',
+    BOOT: 'vrcx_extended_boot',
+    NETWORK_ALLOWLISTS: 'vrcx_extended_network_allowlists',
+    THEME_VARIABLES: 'vrcx_extended_theme_variables',
   },
 
   // Default settings
@@ -22,6 +27,17 @@ window.VRCXExtended.Config = {
     disableCache: false,
     debugMode: false,
     disableFallback: false,
+    // How often items linked to a dev source are checked in debug mode (ms)
+    hotReloadInterval: 1000,
+    // How long a store theme preview lasts before it reverts (ms)
+    themePreviewTimeout: 30000,
+    // What saving, installing or updating a theme with CSS syntax errors does:
+    // 'warn' asks first, 'block' refuses, 'off' skips the check
+    cssLint: 'warn',
+    // Mirror the themes' custom properties and apply @role popup themes in the manager window
+    themeManagerWindow: true,
+    // Set once installed store themes got the role from the store index (see ThemeRoles)
+    storeRolesMigrated: false,
     localDebugPaths: {
       modules: 'file://vrcx/extended/modules',
       html: 'file://vrcx/extended/html', 
@@ -165,6 +181,47 @@ window.VRCXExtended.Config = {
     this.updateSettings({ [key]: value });
   },
 
+  /**
+   * Get the settings of a plugin: stored values merged over the defaults of its schema
+   * @param {string} pluginId - Plugin ID
+   * @param {Array} schema - Setting declarations (see Metadata.parseSetting)
+   * @returns {Object} Values keyed by setting key
+   */
+  getPluginSettings(pluginId, schema = []) {
+    const metadata = window.VRCXExtended.Metadata;
+    const stored = window.VRCXExtended.Utils.readJSON(this.KEYS.PLUGIN_SETTINGS, {})[pluginId] || {};
+    const values = {};
+
+    schema.forEach(setting => {
+      values[setting.key] = setting.key in stored
+        ? metadata.coerceSetting(setting, stored[setting.key])
+        : setting.default;
+    });
+    return values;
+  },
+
+  /**
+   * Store settings values for a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} values - Values keyed by setting key
+   */
+  setPluginSettings(pluginId, values) {
+    const all = window.VRCXExtended.Utils.readJSON(this.KEYS.PLUGIN_SETTINGS, {});
+    all[pluginId] = { ...(all[pluginId] || {}), ...values };
+    window.VRCXExtended.Utils.writeJSON(this.KEYS.PLUGIN_SETTINGS, all);
+  },
+
+  /**
+   * Remove stored settings for a plugin (back to schema defaults)
+   * @param {string} pluginId - Plugin ID
+   */
+  clearPluginSettings(pluginId) {
+    const all = window.VRCXExtended.Utils.readJSON(this.KEYS.PLUGIN_SETTINGS, {});
+    if (!(pluginId in all)) return;
+    delete all[pluginId];
+    window.VRCXExtended.Utils.writeJSON(this.KEYS.PLUGIN_SETTINGS, all);
+  },
+
   /**
    * Get store URL based on debug mode setting
    * @param {string} type - 'plugins' or 'themes'
@@ -0,0 +1,245 @@
+// ==Module==
+// @name         VRCX-Extended Plugin Context
+// @description  Versioned helper API handed to every plugin as `vrcx`
+// ==Module==
+
+/**
+ * Plugin context module for VRCX-Extended
+ * Builds the `vrcx` object each plugin receives next to its `plugin` handle. It bundles
+ * the helpers plugins kept reimplementing (logging, storage, events, styles, element
+ * waiting, observers, timers) and ties everything they create to the plugin, so it is released
+ * automatically when the plugin is disabled.
+ *
+ * The surface is versioned by API_VERSION. Only additive changes are allowed within a
+ * version; anything that changes or removes existing members needs a new version.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.PluginContext = {
+  // Version of the context surface plugins are written against
+  API_VERSION: 1,
+
+  // localStorage key prefix for plugin data (one JSON object per plugin)
+  STORAGE_PREFIX: 'vrcx_extended_plugin_data:',
+
+  /**
+   * Create the context for a running plugin
+   * @param {Object} record - Running plugin record from Injection.startPlugin
+   * @returns {Object} Frozen context object
+   */
+  create(record) {
+    const onCleanup = (fn) => {
+      if (typeof fn !== 'function') return () => {};
+      record.cleanups.push(fn);
+      // Drops the cleanup again once there is nothing left to clean up
+      return () => {
+        const index = record.cleanups.indexOf(fn);
+        if (index !== -1) record.cleanups.splice(index, 1);
+      };
+    };
+    // Attribute errors thrown from callbacks, the time spent in them and their requests to the plugin
+    const guard = (fn, phase) => {
+      if (typeof fn !== 'function') return fn;
+      const errors = window.VRCXExtended.PluginErrors;
+      const profiler = window.VRCXExtended.Profiler;
+      const audit = window.VRCXExtended.NetworkAudit;
+      let guarded = errors ? errors.wrap(record.id, fn, phase) : fn;
+      guarded = audit ? audit.wrap(record.id, guarded) : guarded;
+      return profiler ? profiler.wrap(record, guarded, phase) : guarded;
+    };
+
+    return Object.freeze({
+      version: this.API_VERSION,
+      id: record.id,
+      name: record.name,
+      log: this.createLogger(record),
+      storage: this.createStorage(record.id),
+      events: window.VRCXExtended.Events?.createPluginApi(record),
+
+      /** The VRCX Vue app instance (may be undefined before VRCX has mounted) */
+      get app() {
+        return window.$app;
+      },
+
+      /**
+       * Register a function to run when the plugin is disabled
+       * @param {Function} fn - Cleanup function
+       * @returns {Function} Unregisters the cleanup without running it
+       */
+      onCleanup,
+
+      addStyle: (css, name) => this.addStyle(record, css, name, onCleanup),
+      waitForElement: (selector, options) => this.waitForElement(selector, options, onCleanup),
+      observe: (target, callback, options) => this.observe(target, guard(callback, 'observer'), options, onCleanup),
+
+      /**
+       * setInterval that is cleared when the plugin is disabled
+       * @returns {number} Interval ID
+       */
+      setInterval(fn, delay, ...args) {
+        const intervalId = window.setInterval(guard(fn, 'timer'), delay, ...args);
+        onCleanup(() => window.clearInterval(intervalId));
+        return intervalId;
+      },
+
+      /**
+       * setTimeout that is cleared when the plugin is disabled
+       * @returns {number} Timeout ID
+       */
+      setTimeout(fn, delay, ...args) {
+        if (typeof fn !== 'function') {
+          const timeoutId = window.setTimeout(fn, delay, ...args);
+          onCleanup(() => window.clearTimeout(timeoutId));
+          return timeoutId;
+        }
+        const guarded = guard(fn, 'timer');
+        // A fired timeout has nothing left to clear, so its cleanup is dropped
+        const timeoutId = window.setTimeout((...callArgs) => {
+          release();
+          return guarded(...callArgs);
+        }, delay, ...args);
+        const release = onCleanup(() => window.clearTimeout(timeoutId));
+        return timeoutId;
+      }
+    });
+  },
+
+  /**
+   * Create a console logger prefixed with the plugin name. debug() only logs in debug mode.
+   * @param {Object} record - Running plugin record
+   * @returns {Object} { debug, info, warn, error }
+   */
+  createLogger(record) {
+    const prefix = `[VRCX-Extended:${record.name}]`;
+    return Object.freeze({
+      debug: (...args) => {
+        if (window.VRCXExtended.Config?.getSetting('debugMode')) {
+          console.debug(prefix, ...args);
+        }
+      },
+      info: (...args) => console.log(prefix, ...args),
+      warn: (...args) => console.warn(prefix, ...args),
+      error: (...args) => console.error(prefix, ...args)
+    });
+  },
+
+  /**
+   * Create storage scoped to a plugin. Values are JSON serialized and kept after the
+   * plugin is disabled; they are removed when the plugin is deleted.
+   * @param {string} pluginId - Plugin ID
+   * @returns {Object} { get, set, remove, keys, clear }
+   */
+  createStorage(pluginId) {
+    const utils = window.VRCXExtended.Utils;
+    const storageKey = this.STORAGE_PREFIX + pluginId;
+    const read = () => utils.readJSON(storageKey, {});
+
+    return Object.freeze({
+      get(key, fallback = null) {
+        const data = read();
+        return key in data ? data[key] : fallback;
+      },
+      set(key, value) {
+        const data = read();
+        data[key] = value;
+        utils.writeJSON(storageKey, data);
+      },
+      remove(key) {
+        const data = read();
+        delete data[key];
+        utils.writeJSON(storageKey, data);
+      },
+      keys() {
+        return Object.keys(read());
+      },
+      clear() {
+        localStorage.removeItem(storageKey);
+      }
+    });
+  },
+
+  /**
+   * Remove all stored data of a plugin (used when the plugin is deleted)
+   * @param {string} pluginId - Plugin ID
+   */
+  clearStorage(pluginId) {
+    localStorage.removeItem(this.STORAGE_PREFIX + pluginId);
+  },
+
+  /**
+   * Inject a style element owned by the plugin
+   * @param {Object} record - Running plugin record
+   * @param {string} css - CSS text
+   * @param {string} name - Optional name, re-using a name replaces the earlier style
+   * @param {Function} onCleanup - Cleanup registration
+   * @returns {HTMLStyleElement} The style element
+   */
+  addStyle(record, css, name, onCleanup) {
+    const suffix = name ? String(name).replace(/[^\w-]/g, '-') : Math.random().toString(36).slice(2, 8);
+    const id = `vrcx-plugin-style-${record.id}-${suffix}`;
+    document.getElementById(id)?.remove();
+
+    const style = document.createElement('style');
+    style.setAttribute('data-vrcxmods', 'plugin');
+    style.id = id;
+    style.textContent = css;
+    document.head.appendChild(style);
+    onCleanup(() => style.remove());
+    return style;
+  },
+
+  /**
+   * Create a MutationObserver that is disconnected when the plugin is disabled
+   * @param {Node} target - Node to observe
+   * @param {Function} callback - MutationObserver callback
+   * @param {Object} options - Observer options (default: childList + subtree)
+   * @param {Function} onCleanup - Cleanup registration
+   * @returns {MutationObserver} The observer
+   */
+  observe(target, callback, options, onCleanup) {
+    const observer = new MutationObserver(callback);
+    observer.observe(target, options || { childList: true, subtree: true });
+    onCleanup(() => observer.disconnect());
+    return observer;
+  },
+
+  /**
+   * Wait for an element to appear in the DOM
+   * @param {string} selector - CSS selector
+   * @param {Object} options - { root = document, timeout = 10000 } (timeout 0 waits forever)
+   * @param {Function} onCleanup - Cleanup registration
+   * @returns {Promise<Element>} Resolves with the element, rejects on timeout. Stays pending when
+   *   the plugin is disabled first, so no plugin code runs after teardown.
+   */
+  waitForElement(selector, options = {}, onCleanup) {
+    const root = options.root || document;
+    const timeout = options.timeout ?? 10000;
+
+    const existing = root.querySelector(selector);
+    if (existing) return Promise.resolve(existing);
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let release = null;
+      const observer = new MutationObserver(() => {
+        const element = root.querySelector(selector);
+        if (element) finish(() => resolve(element));
+      });
+      const stop = () => {
+        observer.disconnect();
+        clearTimeout(timer);
+      };
+      const finish = (settle) => {
+        stop();
+        release?.();
+        settle();
+      };
+
+      observer.observe(root === document ? document.documentElement : root, { childList: true, subtree: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => finish(() => reject(new Error(`Timed out waiting for "${selector}"`))), timeout);
+      }
+      release = onCleanup(stop);
+    });
+  }
+};
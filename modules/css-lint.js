@@ -0,0 +1,272 @@
+// ==Module==
+// @name         VRCX-Extended CSS Lint
+// @description  Syntax and sanity checks for theme CSS before it is saved or installed
+// ==Module==
+
+/**
+ * CSS lint module for VRCX-Extended
+ * A single pass over theme CSS that tracks comments, strings, parentheses and blocks, so a
+ * broken theme is caught before it is stored. A missing `}` or `;` does not stop the
+ * browser from loading a theme; it silently swallows the rules after it.
+ *
+ *   error    unbalanced braces or parentheses, unclosed comments and strings, declarations
+ *            without a colon or value, declarations outside of a rule, a missing `;`
+ *   warning  properties the browser does not know, `!important` in keyframes (ignored) and
+ *            `!important` on most declarations
+ *
+ * Nested rules (CSS nesting) are accepted inside style rules.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.CssLint = {
+  // Severity levels, most severe first
+  SEVERITIES: ['error', 'warning'],
+
+  // At-rules whose block holds rules rather than declarations
+  RULE_BLOCK_AT_RULES: ['media', 'supports', 'layer', 'container', 'document', '-moz-document', 'scope', 'starting-style', 'keyframes', '-webkit-keyframes'],
+
+  // !important is reported as overused when more than this share of declarations has it...
+  IMPORTANT_RATIO: 0.5,
+
+  // ...and the theme has at least this many declarations
+  IMPORTANT_MIN_DECLARATIONS: 10,
+
+  state: {
+    // Property name -> known to the browser
+    known: new Map()
+  },
+
+  /**
+   * Check theme CSS
+   * @param {string} css - Theme CSS
+   * @returns {Object} { findings: [{ rule, severity, title, detail, line, column }], counts, highest }
+   */
+  lint(css) {
+    const source = typeof css === 'string' ? css : '';
+    // Copy of the source with comments blanked and string contents masked, so the checks
+    // below never see a brace, colon or semicolon that is not CSS syntax
+    const clean = source.split('');
+    const lineStarts = [0];
+    source.split('\n').forEach(line => lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1));
+
+    const positionOf = (index) => {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+      return { line: line + 1, column: index - lineStarts[line] + 1 };
+    };
+
+    const findings = [];
+    const add = (rule, severity, title, index, detail = '') => {
+      findings.push({ rule, severity, title, detail, ...positionOf(index) });
+    };
+
+    const declarations = [];
+    // Open blocks: { index, prelude, rules (holds rules), keyframes, atRule }
+    const blocks = [];
+    const parens = [];
+    let segmentStart = 0;
+
+    const segment = (end) => clean.slice(segmentStart, end).join('');
+    const firstNonSpace = (text) => segmentStart + text.search(/\S|$/);
+
+    for (let i = 0; i < source.length; i++) {
+      const ch = source[i];
+
+      if (ch === '/' && source[i + 1] === '*') {
+        const end = source.indexOf('*/', i + 2);
+        if (end === -1) {
+          add('unclosed-comment', 'error', 'Comment is never closed', i);
+          for (let j = i; j < source.length; j++) clean[j] = ' ';
+          break;
+        }
+        for (let j = i; j < end + 2; j++) {
+          if (clean[j] !== '\n') clean[j] = ' ';
+        }
+        i = end + 1;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        let j = i + 1;
+        while (j < source.length && source[j] !== ch && source[j] !== '\n') {
+          if (source[j] === '\\') j++;
+          j++;
+        }
+        for (let k = i + 1; k < j && k < source.length; k++) {
+          if (clean[k] !== '\n') clean[k] = 'x';
+        }
+        if (source[j] !== ch) {
+          add('unclosed-string', 'error', 'String is never closed', i);
+        }
+        i = j;
+        continue;
+      }
+
+      if (ch === '(') {
+        parens.push(i);
+      } else if (ch === ')') {
+        if (parens.length) {
+          parens.pop();
+        } else {
+          add('unmatched-paren', 'error', "Unexpected ')'", i);
+        }
+      } else if (ch === '{' || ch === '}') {
+        // Blocks cannot start or end inside parentheses
+        parens.forEach(index => add('unclosed-paren', 'error', "'(' is never closed", index));
+        parens.length = 0;
+      }
+
+      if (ch === '{') {
+        const prelude = segment(i).trim();
+        const parent = blocks[blocks.length - 1];
+        if (!prelude) {
+          add('missing-selector', 'error', 'Block without a selector', i);
+        }
+        const atRule = (prelude.match(/^@([\w-]+)/) || [])[1]?.toLowerCase() || '';
+        blocks.push({
+          index: i,
+          prelude,
+          rules: this.RULE_BLOCK_AT_RULES.includes(atRule),
+          keyframes: atRule.endsWith('keyframes') || !!parent?.keyframes,
+          atRule: !!atRule
+        });
+        segmentStart = i + 1;
+      } else if (ch === '}') {
+        const block = blocks.pop();
+        if (!block) {
+          add('unmatched-brace', 'error', "Unexpected '}' without a matching '{'", i);
+        } else if (block.rules) {
+          this.checkStatement(segment(i), firstNonSpace(segment(i)), add);
+        } else {
+          this.checkDeclaration(segment(i), firstNonSpace(segment(i)), block, add, declarations);
+        }
+        segmentStart = i + 1;
+      } else if (ch === ';' && !parens.length) {
+        const block = blocks[blocks.length - 1];
+        if (!block || block.rules) {
+          this.checkStatement(segment(i), firstNonSpace(segment(i)), add);
+        } else {
+          this.checkDeclaration(segment(i), firstNonSpace(segment(i)), block, add, declarations);
+        }
+        segmentStart = i + 1;
+      }
+    }
+
+    const rest = segment(source.length);
+    const open = blocks[blocks.length - 1];
+    if (!open) {
+      if (rest.trim()) {
+        add('missing-block', 'error', "Expected '{' after the selector", firstNonSpace(rest), rest.trim().slice(0, 40));
+      }
+    } else if (!open.rules) {
+      // Inside an unclosed block the rest is its last declaration, not a selector
+      this.checkDeclaration(rest, firstNonSpace(rest), open, add, declarations);
+    }
+    parens.forEach(index => add('unclosed-paren', 'error', "'(' is never closed", index));
+    blocks.forEach(block => add('unclosed-block', 'error', "'{' is never closed", block.index, block.prelude.slice(0, 40)));
+
+    const important = declarations.filter(declaration => declaration.important);
+    if (declarations.length >= this.IMPORTANT_MIN_DECLARATIONS && important.length / declarations.length > this.IMPORTANT_RATIO) {
+      add('important-overuse', 'warning', '!important on most declarations', important[0].index,
+        important.length + ' of ' + declarations.length + ' declarations');
+    }
+
+    findings.sort((a, b) =>
+      a.line - b.line || a.column - b.column ||
+      this.SEVERITIES.indexOf(a.severity) - this.SEVERITIES.indexOf(b.severity)
+    );
+
+    const counts = { error: 0, warning: 0 };
+    findings.forEach(finding => counts[finding.severity]++);
+    return {
+      findings,
+      counts,
+      highest: this.SEVERITIES.find(severity => counts[severity] > 0) || null
+    };
+  },
+
+  /**
+   * Check a statement between rules, which must be an at-rule such as @import
+   * @param {string} text - Statement (comments blanked)
+   * @param {number} index - Position of its first character
+   * @param {Function} add - Adds a finding
+   */
+  checkStatement(text, index, add) {
+    const statement = text.trim();
+    if (!statement || statement.startsWith('@')) return;
+    if (/^[\w-]+\s*:/.test(statement)) {
+      add('declaration-outside-rule', 'error', 'Declaration outside of a rule', index, statement.slice(0, 40));
+    } else {
+      add('missing-block', 'error', "Expected '{' after the selector", index, statement.slice(0, 40));
+    }
+  },
+
+  /**
+   * Check a declaration inside a block
+   * @param {string} text - Declaration without its ';' (comments blanked)
+   * @param {number} index - Position of its first character
+   * @param {Object} block - Block the declaration is in
+   * @param {Function} add - Adds a finding
+   * @param {Array} declarations - Collects { important, index } of every declaration
+   */
+  checkDeclaration(text, index, block, add, declarations) {
+    const declaration = text.trim();
+    if (!declaration) return;
+
+    const colon = declaration.indexOf(':');
+    if (colon === -1) {
+      add('missing-colon', 'error', "Expected ':' after the property", index, declaration.slice(0, 40));
+      return;
+    }
+
+    const property = declaration.slice(0, colon).trim();
+    const value = declaration.slice(colon + 1);
+    if (!/^-?-?[a-zA-Z_][\w-]*$/.test(property)) {
+      add('invalid-property', 'error', 'Not a property name', index, property.slice(0, 40));
+      return;
+    }
+    const isCustom = property.startsWith('--');
+
+    // A newline followed by "name:" outside of parentheses means the ';' before it is missing
+    let depth = 0;
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '(') depth++;
+      else if (value[i] === ')') depth = Math.max(0, depth - 1);
+      else if (value[i] === '\n' && depth === 0 && /^\s*-?-?[a-zA-Z_][\w-]*\s*:/.test(value.slice(i + 1))) {
+        add('missing-semicolon', 'error', "Missing ';' at the end of the declaration", index + colon + 1 + i, property);
+        break;
+      }
+    }
+
+    if (!isCustom && !value.trim()) {
+      add('missing-value', 'error', 'Declaration without a value', index, property);
+      return;
+    }
+
+    const important = /!\s*important\s*$/i.test(value);
+    if (important && block.keyframes) {
+      add('important-in-keyframes', 'warning', '!important is ignored inside keyframes', index, property);
+    }
+    declarations.push({ important, index });
+
+    // Descriptors of @font-face, @page, @property and the like are not properties
+    if (!isCustom && !block.atRule && !/^-(?!-)/.test(property) && !this.isKnownProperty(property)) {
+      add('unknown-property', 'warning', 'Unknown property', index, property);
+    }
+  },
+
+  /**
+   * Ask the browser whether it knows a property. Every property accepts the CSS-wide
+   * keyword `inherit`, so CSS.supports only fails for names it does not know.
+   * @param {string} property - Property name
+   * @returns {boolean} True when known, or when the browser cannot tell
+   */
+  isKnownProperty(property) {
+    if (typeof window.CSS?.supports !== 'function') return true;
+    const name = property.toLowerCase();
+    if (!this.state.known.has(name)) {
+      this.state.known.set(name, window.CSS.supports(name, 'inherit'));
+    }
+    return this.state.known.get(name);
+  }
+};
@@ -0,0 +1,313 @@
+// ==Module==
+// @name         VRCX-Extended Plugin Errors
+// @description  Attributes runtime errors to plugins, counts them and disables plugins that keep crashing
+// ==Module==
+
+/**
+ * Plugin error tracking module for VRCX-Extended
+ * Errors are attributed to a plugin either directly (the injection wrapper, lifecycle
+ * callbacks and `vrcx` helpers report them) or through the plugin's sourceURL showing up
+ * in an uncaught error or unhandled promise rejection.
+ *
+ * A plugin whose startup (its first STARTUP_WINDOW ms) fails MAX_STARTUP_CRASHES times in
+ * a row is disabled. Counters are persisted so crashes during VRCX boot count too. They are
+ * kept in memory and written SAVE_DELAY after the last change, so a plugin that throws from
+ * a fast timer does not rewrite localStorage on every error.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.PluginErrors = {
+  // How long after start an error still counts as a startup crash (ms)
+  STARTUP_WINDOW: 5000,
+
+  // Consecutive startup crashes before a plugin is disabled
+  MAX_STARTUP_CRASHES: 3,
+
+  // Prefix of the sourceURL given to injected plugin scripts
+  SOURCE_PREFIX: 'vrcx-extended/plugins/',
+
+  // How long after the last change the error entries are written to storage (ms)
+  SAVE_DELAY: 1000,
+
+  state: {
+    listening: false,
+    // Error entries keyed by plugin ID, loaded from storage on first use
+    entries: null,
+    saveTimer: null,
+    // Plugins inside their startup window: { id: { timer, crashed } }
+    starting: {},
+    // Plugins that already showed an error notification this session
+    notified: new Set()
+  },
+
+  /**
+   * Start listening for uncaught errors and unhandled rejections
+   */
+  init() {
+    if (this.state.listening) return;
+    this.state.listening = true;
+
+    window.addEventListener('error', (event) => {
+      const pluginId = this.findPluginId(event.error?.stack || event.filename);
+      if (pluginId) this.report(pluginId, event.error || new Error(event.message), 'runtime', false);
+    });
+
+    window.addEventListener('unhandledrejection', (event) => {
+      const pluginId = this.findPluginId(event.reason?.stack);
+      if (pluginId) this.report(pluginId, event.reason, 'promise', false);
+    });
+
+    // Keep the counts of errors thrown just before VRCX closes
+    window.addEventListener('beforeunload', () => this.flush());
+  },
+
+  /**
+   * Get the sourceURL for a plugin script: vrcx-extended/plugins/<name>/<id>.js.
+   * DevTools lists plugins by name; the ID keeps the URL unique and attributable.
+   * @param {string} pluginId - Plugin ID
+   * @param {string} name - Plugin name
+   * @returns {string} Source URL
+   */
+  getSourceUrl(pluginId, name) {
+    const slug = window.VRCXExtended.Utils.slugify(name, 'plugin');
+    return this.SOURCE_PREFIX + slug + '/' + encodeURIComponent(pluginId) + '.js';
+  },
+
+  /**
+   * Build a pattern matching plugin source URLs and capturing the plugin ID and line
+   * @param {string} flags - RegExp flags
+   * @returns {RegExp} Pattern
+   */
+  getSourcePattern(flags) {
+    const escaped = this.SOURCE_PREFIX.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    return new RegExp(escaped + '(?:[^/\\s]+/)?([^/\\s:)]+)\\.js(?::(\\d+))?', flags);
+  },
+
+  /**
+   * Find the plugin a stack trace or filename belongs to
+   * @param {string} text - Stack trace or filename
+   * @returns {string|null} Plugin ID of the innermost plugin frame
+   */
+  findPluginId(text) {
+    if (typeof text !== 'string') return null;
+    const match = text.match(this.getSourcePattern());
+    return match ? decodeURIComponent(match[1]) : null;
+  },
+
+  /**
+   * Find the line in a plugin's code where an error was thrown
+   * @param {string} stack - Stack trace
+   * @param {string} pluginId - Plugin ID
+   * @returns {number|null} 1-based line number in the editor, or null when unknown
+   */
+  findLine(stack, pluginId) {
+    if (typeof stack !== 'string') return null;
+    for (const match of stack.matchAll(this.getSourcePattern('g'))) {
+      if (decodeURIComponent(match[1]) === pluginId && match[2]) {
+        return parseInt(match[2], 10);
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Read all error entries
+   * @returns {Object} Entries keyed by plugin ID
+   */
+  getAll() {
+    if (!this.state.entries) {
+      this.state.entries = window.VRCXExtended.Utils.readJSON(window.VRCXExtended.Config.KEYS.PLUGIN_ERRORS, {});
+    }
+    return this.state.entries;
+  },
+
+  /**
+   * Get the error entry of a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {Object|null} { count, startupCrashes, lastError, autoDisabled }
+   */
+  get(pluginId) {
+    return this.getAll()[pluginId] || null;
+  },
+
+  /**
+   * Store the error entry of a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Object|null} entry - Entry, or null to remove it
+   * @param {boolean} immediate - Write to storage now instead of after SAVE_DELAY
+   */
+  set(pluginId, entry, immediate = false) {
+    const all = this.getAll();
+    if (entry) {
+      all[pluginId] = entry;
+    } else {
+      delete all[pluginId];
+    }
+
+    if (immediate) {
+      this.flush();
+    } else if (!this.state.saveTimer) {
+      this.state.saveTimer = setTimeout(() => this.flush(), this.SAVE_DELAY);
+    }
+  },
+
+  /**
+   * Write pending error entries to storage
+   */
+  flush() {
+    clearTimeout(this.state.saveTimer);
+    this.state.saveTimer = null;
+    if (!this.state.entries) return;
+    window.VRCXExtended.Utils.writeJSON(window.VRCXExtended.Config.KEYS.PLUGIN_ERRORS, this.state.entries);
+  },
+
+  /**
+   * Forget the errors of a plugin
+   * @param {string} pluginId - Plugin ID
+   */
+  clear(pluginId) {
+    this.set(pluginId, null, true);
+    this.state.notified.delete(pluginId);
+  },
+
+  /**
+   * Mark the start of a plugin run; its startup window opens now
+   * @param {string} pluginId - Plugin ID
+   */
+  beginStartup(pluginId) {
+    this.endStartup(pluginId);
+    const starting = { crashed: false, timer: null };
+    starting.timer = setTimeout(() => {
+      delete this.state.starting[pluginId];
+      if (starting.crashed) return;
+
+      // Survived startup: the crash streak is over
+      const entry = this.get(pluginId);
+      if (entry?.startupCrashes) {
+        entry.startupCrashes = 0;
+        this.set(pluginId, entry);
+      }
+    }, this.STARTUP_WINDOW);
+    this.state.starting[pluginId] = starting;
+  },
+
+  /**
+   * Close the startup window of a plugin early (e.g. it was stopped)
+   * @param {string} pluginId - Plugin ID
+   */
+  endStartup(pluginId) {
+    const starting = this.state.starting[pluginId];
+    if (!starting) return;
+    clearTimeout(starting.timer);
+    delete this.state.starting[pluginId];
+  },
+
+  /**
+   * Record an error thrown by a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {*} error - Error or rejection reason
+   * @param {string} phase - Where it happened: startup, enable, disable, observer, timer, event, request, runtime, promise
+   * @param {boolean} log - Whether to log it (uncaught errors were already logged by the browser)
+   */
+  report(pluginId, error, phase, log = true) {
+    // Errors mostly come from running plugins; only others need the stored list
+    const running = window.VRCXExtended.Injection?.state.plugins[pluginId];
+    const name = running?.name || this.getPlugin(pluginId)?.name || pluginId;
+    if (log) {
+      console.error(`VRCX Plugin Error (${name}) in ${phase}`, error);
+    }
+
+    const entry = this.get(pluginId) || { count: 0, startupCrashes: 0 };
+    entry.count++;
+    entry.lastError = {
+      message: String(error?.message || error),
+      stack: error?.stack || '',
+      line: this.findLine(error?.stack, pluginId),
+      phase,
+      time: new Date().toISOString()
+    };
+
+    // Count at most one startup crash per run
+    const starting = this.state.starting[pluginId];
+    if (starting && !starting.crashed) {
+      starting.crashed = true;
+      entry.startupCrashes = (entry.startupCrashes || 0) + 1;
+    }
+    this.set(pluginId, entry);
+
+    if (entry.startupCrashes >= this.MAX_STARTUP_CRASHES) {
+      this.autoDisable(pluginId, entry);
+    } else if (!this.state.notified.has(pluginId)) {
+      this.state.notified.add(pluginId);
+      window.VRCXExtended.Utils.showNotification(
+        'Plugin <strong>' + window.VRCXExtended.Utils.escapeHtml(name) + '</strong> threw an error: ' +
+        window.VRCXExtended.Utils.escapeHtml(entry.lastError.message),
+        'error'
+      );
+    }
+  },
+
+  /**
+   * Disable a plugin that keeps crashing at startup and tell the user why
+   * @param {string} pluginId - Plugin ID
+   * @param {Object} entry - Error entry of the plugin
+   */
+  autoDisable(pluginId, entry) {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    const plugins = utils.readJSON(config.KEYS.PLUGINS, []);
+    const plugin = plugins.find(p => p.id === pluginId);
+
+    this.endStartup(pluginId);
+    entry.autoDisabled = {
+      time: new Date().toISOString(),
+      reason: `Crashed ${entry.startupCrashes} times in a row while starting: ${entry.lastError.message}`
+    };
+    // Start a fresh streak if the user turns it back on
+    entry.startupCrashes = 0;
+    this.set(pluginId, entry, true);
+
+    if (plugin) {
+      plugin.enabled = false;
+      plugin.updatedAt = utils.nowIso();
+      utils.writeJSON(config.KEYS.PLUGINS, plugins);
+    }
+    // Defer so the plugin is not torn down from inside its own code
+    setTimeout(() => window.VRCXExtended.Injection?.stopPlugin(pluginId), 0);
+
+    utils.showNotification(
+      'Plugin <strong>' + utils.escapeHtml(plugin?.name || pluginId) + '</strong> was disabled. ' +
+      utils.escapeHtml(entry.autoDisabled.reason),
+      'error',
+      10000
+    );
+  },
+
+  /**
+   * Wrap a callback so errors it throws are attributed to a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Function} fn - Callback
+   * @param {string} phase - Phase to report
+   * @returns {Function} Wrapped callback
+   */
+  wrap(pluginId, fn, phase) {
+    const errors = this;
+    return function(...args) {
+      try {
+        return fn.apply(this, args);
+      } catch (error) {
+        errors.report(pluginId, error, phase);
+      }
+    };
+  },
+
+  /**
+   * Find a stored plugin by ID
+   * @param {string} pluginId - Plugin ID
+   * @returns {Object|undefined} Plugin
+   */
+  getPlugin(pluginId) {
+    const config = window.VRCXExtended.Config;
+    return window.VRCXExtended.Utils.readJSON(config.KEYS.PLUGINS, []).find(p => p.id === pluginId);
+  }
+};
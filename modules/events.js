@@ -0,0 +1,209 @@
+// ==Module==
+// @name         VRCX-Extended Events
+// @description  Publish/subscribe bus shared by plugins and the manager
+// ==Module==
+
+/**
+ * Event bus module for VRCX-Extended
+ * Topics are namespaced as `<namespace>:<event>`. Each plugin owns the namespace made from
+ * its name (e.g. `friend-notes:rendered`) and can only emit there; the manager emits under
+ * `vrcx:`. A plugin whose name would give `vrcx` or the namespace of another running plugin
+ * gets its ID appended (`friend-notes-id-x7k2...`), so nobody can emit as someone else.
+ * Anyone can subscribe to any topic, or to a whole namespace with `<namespace>:*`.
+ *
+ * Subscriptions made through a plugin's `vrcx.events` are released when the plugin is
+ * disabled. Handlers run synchronously; a throwing handler does not stop the others.
+ *
+ * System events:
+ *   vrcx:plugins-refreshed  { started, running, skipped, waiting }
+ *   vrcx:themes-refreshed   { themes }
+ *   vrcx:plugin-toggled     { id, name, enabled }
+ *   vrcx:theme-toggled      { id, name, enabled }
+ *   vrcx:item-installed     { type, id, name }
+ *   vrcx:item-uninstalled   { type, id, name }
+ *   vrcx:item-updated       { type, id, name }
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.Events = {
+  // Namespace of events emitted by the manager itself
+  SYSTEM_NAMESPACE: 'vrcx',
+
+  state: {
+    // topic -> [{ handler, owner, once }]
+    listeners: new Map(),
+    // namespace -> ID of the running plugin that owns it
+    namespaces: new Map()
+  },
+
+  /**
+   * Get the namespace a plugin emits under and claim it until the plugin stops
+   * @param {string} name - Plugin name
+   * @param {string} pluginId - Plugin ID
+   * @returns {string} Namespace
+   */
+  getNamespace(name, pluginId) {
+    const utils = window.VRCXExtended.Utils;
+    this.releaseNamespace(pluginId);
+    let namespace = utils.slugify(name, 'plugin');
+    const owner = this.state.namespaces.get(namespace);
+    if (namespace === this.SYSTEM_NAMESPACE || (owner && owner !== pluginId)) {
+      namespace += '-' + utils.slugify(pluginId, 'id');
+    }
+    this.state.namespaces.set(namespace, pluginId);
+    return namespace;
+  },
+
+  /**
+   * Subscribe to a topic
+   * @param {string} topic - Full topic (`namespace:event`) or `namespace:*`
+   * @param {Function} handler - Called with (payload, { topic, source })
+   * @param {Object} options - { owner: plugin ID the subscription belongs to, once: unsubscribe after the first call }
+   * @returns {Function} Unsubscribe function
+   */
+  on(topic, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Handler for "${topic}" must be a function`);
+    }
+
+    const listener = { handler, owner: options.owner || null, once: !!options.once };
+    if (!this.state.listeners.has(topic)) {
+      this.state.listeners.set(topic, []);
+    }
+    this.state.listeners.get(topic).push(listener);
+    return () => this.remove(topic, listener);
+  },
+
+  /**
+   * Subscribe to the next event on a topic only
+   * @param {string} topic - Topic
+   * @param {Function} handler - Handler
+   * @param {Object} options - { owner }
+   * @returns {Function} Unsubscribe function
+   */
+  once(topic, handler, options = {}) {
+    return this.on(topic, handler, { ...options, once: true });
+  },
+
+  /**
+   * Unsubscribe a handler from a topic
+   * @param {string} topic - Topic
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(topic, handler) {
+    const listeners = this.state.listeners.get(topic) || [];
+    listeners.filter(listener => listener.handler === handler).forEach(listener => this.remove(topic, listener));
+  },
+
+  /**
+   * Remove a single subscription
+   * @param {string} topic - Topic
+   * @param {Object} listener - Listener entry
+   */
+  remove(topic, listener) {
+    const listeners = this.state.listeners.get(topic);
+    if (!listeners) return;
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+    if (!listeners.length) this.state.listeners.delete(topic);
+  },
+
+  /**
+   * Remove every subscription owned by a plugin and free its namespace
+   * @param {string} owner - Plugin ID
+   */
+  removeOwner(owner) {
+    for (const [topic, listeners] of this.state.listeners) {
+      listeners.filter(listener => listener.owner === owner).forEach(listener => this.remove(topic, listener));
+    }
+    this.releaseNamespace(owner);
+  },
+
+  /**
+   * Free the namespace a plugin claimed
+   * @param {string} pluginId - Plugin ID
+   */
+  releaseNamespace(pluginId) {
+    for (const [namespace, owner] of this.state.namespaces) {
+      if (owner === pluginId) this.state.namespaces.delete(namespace);
+    }
+  },
+
+  /**
+   * Publish an event
+   * @param {string} topic - Full topic (`namespace:event`)
+   * @param {*} payload - Event data
+   * @param {string} source - Plugin ID of the sender, or null for the manager
+   * @returns {number} Number of handlers called
+   */
+  emit(topic, payload, source = null) {
+    const namespace = topic.split(':')[0];
+    // Copy so handlers can unsubscribe while the event is delivered
+    const matches = [topic, namespace + ':*'].flatMap(key =>
+      (this.state.listeners.get(key) || []).map(listener => [key, listener])
+    );
+
+    matches.forEach(([key, listener]) => {
+      if (listener.once) this.remove(key, listener);
+      const audit = window.VRCXExtended.NetworkAudit;
+      const call = () => listener.handler(payload, { topic, source });
+      try {
+        // Requests made by a plugin's handler are attributed to that plugin
+        if (listener.owner && audit) {
+          audit.run(listener.owner, call);
+        } else {
+          call();
+        }
+      } catch (error) {
+        if (listener.owner && window.VRCXExtended.PluginErrors) {
+          window.VRCXExtended.PluginErrors.report(listener.owner, error, 'event');
+        } else {
+          window.VRCXExtended.Utils.safeConsoleLog('error', `❌ Event handler for "${topic}" failed:`, error);
+        }
+      }
+    });
+    return matches.length;
+  },
+
+  /**
+   * Publish a manager event under the vrcx: namespace
+   * @param {string} name - Event name (see the list above)
+   * @param {*} payload - Event data
+   */
+  emitSystem(name, payload) {
+    this.emit(this.SYSTEM_NAMESPACE + ':' + name, payload);
+  },
+
+  /**
+   * Create the event API for a running plugin (`vrcx.events`)
+   * @param {Object} record - Running plugin record
+   * @returns {Object} { namespace, on, once, off, emit }
+   */
+  createPluginApi(record) {
+    const namespace = this.getNamespace(record.name, record.id);
+    // Bare event names refer to the plugin's own namespace
+    const resolve = (topic) => String(topic).includes(':') ? String(topic) : namespace + ':' + topic;
+    // Owned subscriptions are released by Injection.stopPlugin through removeOwner()
+    const subscribe = (topic, handler, once) => this.on(resolve(topic), handler, { owner: record.id, once });
+
+    return Object.freeze({
+      namespace,
+      on: (topic, handler) => subscribe(topic, handler, false),
+      once: (topic, handler) => subscribe(topic, handler, true),
+      off: (topic, handler) => this.off(resolve(topic), handler),
+
+      /**
+       * Emit an event in the plugin's own namespace
+       * @param {string} name - Event name, without namespace
+       * @param {*} payload - Event data
+       * @returns {number} Number of handlers called
+       */
+      emit: (name, payload) => {
+        if (String(name).includes(':')) {
+          throw new Error(`Plugins can only emit in their own namespace ("${namespace}:"), got "${name}"`);
+        }
+        return this.emit(namespace + ':' + name, payload, record.id);
+      }
+    });
+  }
+};
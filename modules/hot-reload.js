@@ -0,0 +1,135 @@
+// ==Module==
+// @name         VRCX-Extended Hot Reload
+// @description  Re-injects plugins and themes linked to a local file or dev server when they change (debug mode)
+// ==Module==
+
+/**
+ * Hot reload module for VRCX-Extended
+ * In debug mode, a plugin or theme can be linked to a source (`item.devSource`):
+ *  - a relative path, resolved against localDebugPaths.store (e.g. plugins/my-plugin/plugin.js)
+ *  - an absolute file:// path
+ *  - a dev server URL (e.g. http://localhost:5173/plugin.js)
+ *
+ * Linked sources are polled; when the content differs from the stored code, the item is
+ * updated in storage and only that item is re-injected (plugins are torn down first).
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.HotReload = {
+  state: {
+    timer: null,
+    polling: false,
+    // Sources that failed on the last poll, so errors are logged once
+    failing: new Set()
+  },
+
+  /**
+   * Start polling linked items when debug mode is enabled
+   */
+  start() {
+    const config = window.VRCXExtended.Config;
+    if (!config.getSetting('debugMode') || this.state.timer) return;
+
+    const interval = config.getSetting('hotReloadInterval');
+    this.state.timer = setInterval(() => this.poll(), interval);
+    window.VRCXExtended.Utils.safeConsoleLog('log', '🔁 Hot reload watching linked items every', interval, 'ms');
+  },
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.state.timer);
+    this.state.timer = null;
+  },
+
+  /**
+   * Resolve an item's dev source to a fetchable URL
+   * @param {string} source - Path or URL
+   * @returns {string} URL
+   */
+  resolveSource(source) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source)) return source;
+
+    const localPaths = window.VRCXExtended.Config.getSetting('localDebugPaths') || {};
+    const base = (localPaths.store || '').replace(/\/+$/, '');
+    return base + '/' + source.replace(/^\.?\/+/, '');
+  },
+
+  /**
+   * Check every linked plugin and theme once
+   */
+  async poll() {
+    if (this.state.polling) return;
+    this.state.polling = true;
+
+    try {
+      const config = window.VRCXExtended.Config;
+      await this.pollSection(config.KEYS.PLUGINS, 'plugins');
+      await this.pollSection(config.KEYS.THEMES, 'themes');
+    } finally {
+      this.state.polling = false;
+    }
+  },
+
+  /**
+   * Check the linked items of one storage key
+   * @param {string} storageKey - Plugins or themes key
+   * @param {string} section - 'plugins' or 'themes'
+   */
+  async pollSection(storageKey, section) {
+    const utils = window.VRCXExtended.Utils;
+    const linked = utils.readJSON(storageKey, []).filter(item => item.devSource);
+
+    for (const item of linked) {
+      const url = this.resolveSource(item.devSource);
+      let content;
+      try {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+        content = await response.text();
+        this.state.failing.delete(url);
+      } catch (error) {
+        if (!this.state.failing.has(url)) {
+          this.state.failing.add(url);
+          utils.safeConsoleLog('warn', '🔁 Hot reload could not read', url, error);
+        }
+        continue;
+      }
+
+      if (content !== item.code) {
+        this.apply(storageKey, section, item.id, content);
+      }
+    }
+  },
+
+  /**
+   * Store new code for an item and re-inject just that item
+   * @param {string} storageKey - Plugins or themes key
+   * @param {string} section - 'plugins' or 'themes'
+   * @param {string} id - Item ID
+   * @param {string} code - New code
+   */
+  apply(storageKey, section, id, code) {
+    const utils = window.VRCXExtended.Utils;
+    const injection = window.VRCXExtended.Injection;
+    const items = utils.readJSON(storageKey, []);
+    const item = items.find(x => x.id === id);
+    if (!item) return;
+
+    item.code = code;
+    item.updatedAt = utils.nowIso();
+    window.VRCXExtended.Metadata?.applyHeader(item);
+    utils.writeJSON(storageKey, items);
+
+    if (section === 'plugins') {
+      // Only plugins whose code changed (and their dependents) are restarted
+      injection.injectPlugins(injection.readItems(storageKey));
+    } else {
+      injection.reloadTheme(item);
+    }
+
+    utils.safeConsoleLog('log', '🔁 Hot reloaded', item.name, 'from', item.devSource);
+    utils.showNotification('🔁 Reloaded <strong>' + utils.escapeHtml(item.name) + '</strong>', 'info', 1500);
+  }
+};
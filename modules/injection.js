@@ -10,70 +10,564 @@
 window.VRCXExtended = window.VRCXExtended || {};
 
 window.VRCXExtended.Injection = {
+  // Runtime state
+  state: {
+    // Running plugins keyed by plugin ID
+    plugins: {},
+    // Result of the last orderPlugins() run (skipped plugins and cycles)
+    dependencyReport: { ordered: [], skipped: [], waiting: [], cycles: [], dependencies: {}, requirements: {} }
+  },
+
   /**
    * Remove all injected content of a specific type
    * @param {string} typePrefix - Type prefix ('theme' or 'plugin')
    */
   removeInjected(typePrefix) {
+    if (typePrefix === 'plugin') {
+      this.stopAllPlugins();
+    }
     document.querySelectorAll(`[data-vrcxmods='${typePrefix}']`).forEach((node) => node.remove());
   },
 
   /**
-   * Inject enabled themes into the document
+   * Order themes for injection: by role (base, addon, tweak; see ThemeRoles), then lowest
+   * priority first so higher priorities come later in the cascade. `priority` is set by
+   * reordering the Themes list; themes without one (e.g. newly added) rank above the others
+   * of their role and keep their storage order among themselves.
+   * @param {Array} themes - Array of theme objects
+   * @returns {Array} Themes in injection order
+   */
+  orderThemes(themes) {
+    const roles = window.VRCXExtended.ThemeRoles;
+    const rank = (theme) => typeof theme.priority === 'number' ? theme.priority : Infinity;
+    return themes
+      .map((theme, index) => ({ theme, index, role: roles ? roles.getRank(theme) : 0 }))
+      .sort((a, b) => {
+        const difference = rank(a.theme) - rank(b.theme);
+        return a.role - b.role || (difference && !isNaN(difference) ? difference : a.index - b.index);
+      })
+      .map(entry => entry.theme);
+  },
+
+  /**
+   * Get the CSS to inject for a theme. A theme that declares `@layer [name]` is wrapped in
+   * that cascade layer (named after the theme when no name is given); its @import rules stay
+   * outside, since they are only valid at the top level.
+   * @param {Object} theme - Theme object
+   * @returns {string} CSS
+   */
+  buildThemeCss(theme) {
+    const code = theme.code || '';
+    const layer = window.VRCXExtended.Metadata?.resolve(theme).layer;
+    if (layer === undefined) return code;
+
+    const name = window.VRCXExtended.Utils.slugify(layer || theme.name, 'theme');
+    const imports = [];
+    const body = code.replace(/@(import|charset)\b[^;]*;/g, (rule, keyword) => {
+      if (keyword === 'import') imports.push(rule);
+      return '';
+    });
+    return `${imports.join('\n')}\n@layer ${name} {\n${body}\n}`;
+  },
+
+  /**
+   * Inject enabled themes into the document, in priority order (see orderThemes)
    * @param {Array} themes - Array of theme objects
    * @returns {Array} Array of successfully injected theme names
    */
   injectThemes(themes) {
     this.removeInjected('theme');
     const injectedThemes = [];
+    const variables = window.VRCXExtended.ThemeVariables;
+    const schedule = window.VRCXExtended.ThemeSchedule;
+    const managerTheme = window.VRCXExtended.ManagerTheme;
     
-    themes.filter(theme => theme.enabled).forEach(theme => {
+    // Scheduled themes are only injected while their schedule is active; manager window
+    // themes only go to the manager
+    const active = this.orderThemes(themes).filter(theme =>
+      theme.enabled && (!schedule || schedule.isActive(theme)) && !managerTheme?.isManagerTheme(theme)
+    );
+    active.forEach(theme => {
       const style = document.createElement('style');
       style.setAttribute('data-vrcxmods', 'theme');
       style.id = `vrcx-theme-${theme.id}`;
-      style.textContent = theme.code || '';
+      style.textContent = this.buildThemeCss(theme);
       document.head.appendChild(style);
+      // The user's variable overrides follow the theme so they win over its :root values
+      variables?.apply(theme.id, variables.getOverrides(theme.id));
       injectedThemes.push(theme.name);
     });
+    // A running store theme preview stays on top
+    window.VRCXExtended.ThemePreview?.apply();
+    // The manager window follows the themes that are now in effect
+    managerTheme?.apply();
     
     return injectedThemes;
   },
 
   /**
-   * Inject enabled plugins into the document
+   * Replace the CSS of a single injected theme, keeping its position among the other themes
+   * @param {Object} theme - Theme object
+   */
+  reloadTheme(theme) {
+    const style = document.getElementById(`vrcx-theme-${theme.id}`);
+    if (style) {
+      style.textContent = this.buildThemeCss(theme);
+      window.VRCXExtended.ManagerTheme?.apply();
+      return;
+    }
+    this.injectThemes(this.readItems(window.VRCXExtended.Config.KEYS.THEMES));
+  },
+
+  /**
+   * Inject enabled plugins into the document.
+   * Plugins start in dependency order (see orderPlugins). Plugins that are already running
+   * with unchanged code are left alone; plugins that were disabled, removed, edited or lost
+   * a dependency are torn down (dependents first) before the new set is started.
    * @param {Array} plugins - Array of plugin objects
-   * @returns {Array} Array of successfully injected plugin names
+   * @returns {Array} Array of newly injected plugin names
    */
   injectPlugins(plugins) {
-    this.removeInjected('plugin');
     const injectedPlugins = [];
-    
-    plugins.filter(plugin => plugin.enabled).forEach(plugin => {
-      const script = document.createElement('script');
-      script.setAttribute('data-vrcxmods', 'plugin');
-      script.id = `vrcx-plugin-${plugin.id}`;
-      script.textContent = `(function(){try{\n${plugin.code || ''}\n}catch(e){console.error('VRCX Plugin Error (${plugin.name})', e);}})();`;
-      document.head.appendChild(script);
+    const report = this.orderPlugins(plugins);
+    const active = this.getActivePlugins(report);
+    const activeById = new Map(active.map(plugin => [plugin.id, plugin]));
+    this.state.dependencyReport = report;
+
+    // Plugins that are no longer wanted or active, or whose code or settings changed
+    const toStop = new Set(Object.keys(this.state.plugins).filter(id => {
+      const next = activeById.get(id);
+      const record = this.state.plugins[id];
+      return !next || next.code !== record.code ||
+        JSON.stringify(this.getPluginSettings(next)) !== JSON.stringify(record.settings);
+    }));
+
+    // Restart running plugins whose requirements are being stopped
+    let changed = true;
+    while (changed) {
+      changed = false;
+      Object.values(this.state.plugins).forEach(record => {
+        if (toStop.has(record.id)) return;
+        const dependsOnStopped = record.dependencies.some(id => toStop.has(id));
+        if (dependsOnStopped) {
+          toStop.add(record.id);
+          changed = true;
+        }
+      });
+    }
+
+    // Tear down in reverse start order so dependents go before their dependencies
+    Object.keys(this.state.plugins).reverse().forEach(id => {
+      if (toStop.has(id)) this.stopPlugin(id);
+    });
+
+    active.forEach(plugin => {
+      if (this.state.plugins[plugin.id]) return;
+      // The plugin's top level runs synchronously while its script is appended
+      const started = performance.now();
+      this.startPlugin(plugin, report.requirements[plugin.id]);
+      window.VRCXExtended.Profiler?.record(plugin.id, plugin.name, 'inject', performance.now() - started);
       injectedPlugins.push(plugin.name);
     });
     
     return injectedPlugins;
   },
 
+  /**
+   * Pick the ordered plugins that may run right now. A plugin waits until its @run-at
+   * condition is met and the active page matches its @match list, and while a plugin it
+   * @requires is waiting (@loadAfter only orders). Waiting plugins are recorded in report.waiting.
+   * @param {Object} report - Result of orderPlugins() (modified in place)
+   * @returns {Array} Plugins to run, in start order
+   */
+  getActivePlugins(report) {
+    const metadata = window.VRCXExtended.Metadata;
+    const activation = window.VRCXExtended.Activation;
+    const activeIds = new Set();
+    report.waiting = [];
+
+    return report.ordered.filter(plugin => {
+      let reason = activation && metadata ? activation.getWaitReason(metadata.resolve(plugin)) : null;
+      const waitingOn = report.requirements[plugin.id].find(id => !activeIds.has(id));
+      if (!reason && waitingOn) {
+        const dependency = report.ordered.find(other => other.id === waitingOn);
+        reason = `waiting for "${dependency ? dependency.name : waitingOn}"`;
+      }
+
+      if (reason) {
+        report.waiting.push({ id: plugin.id, name: plugin.name, reason });
+        return false;
+      }
+      activeIds.add(plugin.id);
+      return true;
+    });
+  },
+
+  /**
+   * Find a plugin by ID or (case-insensitive) name, as used in @requires / @loadAfter
+   * @param {Array} plugins - All plugins
+   * @param {string} ref - Plugin ID or name
+   * @returns {Object|undefined} Matching plugin
+   */
+  findPlugin(plugins, ref) {
+    const needle = String(ref).trim().toLowerCase();
+    return plugins.find(plugin => plugin.id === ref) ||
+      plugins.find(plugin => (plugin.name || '').trim().toLowerCase() === needle);
+  },
+
+  /**
+   * Get the current settings values of a plugin from its @setting schema
+   * @param {Object} plugin - Plugin object
+   * @returns {Object} Values keyed by setting key
+   */
+  getPluginSettings(plugin) {
+    const metadata = window.VRCXExtended.Metadata;
+    const schema = metadata ? metadata.resolve(plugin).settings || [] : [];
+    return window.VRCXExtended.Config.getPluginSettings(plugin.id, schema);
+  },
+
+  /**
+   * Sort enabled plugins so @requires and @loadAfter targets load first.
+   * Ties keep storage order. Plugins with a missing, disabled or skipped requirement,
+   * and plugins caught in a dependency cycle, are skipped.
+   * @param {Array} plugins - All plugins
+   * @returns {Object} { ordered, skipped: [{ id, name, reason }], cycles: [[names]],
+   *   dependencies: { id: [ids it starts after] }, requirements: { id: [ids it @requires] } }
+   */
+  orderPlugins(plugins) {
+    const metadata = window.VRCXExtended.Metadata;
+    const enabled = plugins.filter(plugin => plugin.enabled);
+    const skipped = new Map();
+    const requiresById = {};
+    const loadAfterById = {};
+
+    enabled.forEach(plugin => {
+      const meta = metadata ? metadata.resolve(plugin) : {};
+      requiresById[plugin.id] = meta.requires || [];
+      loadAfterById[plugin.id] = meta.loadAfter || [];
+    });
+
+    // Skip plugins whose requirements are missing, disabled or skipped themselves
+    let changed = true;
+    while (changed) {
+      changed = false;
+      enabled.forEach(plugin => {
+        if (skipped.has(plugin.id)) return;
+        for (const ref of requiresById[plugin.id]) {
+          const target = this.findPlugin(plugins, ref);
+          let reason = null;
+          if (!target) {
+            reason = `requires "${ref}", which is not installed`;
+          } else if (!target.enabled) {
+            reason = `requires "${target.name}", which is disabled`;
+          } else if (skipped.has(target.id)) {
+            reason = `requires "${target.name}", which was skipped`;
+          }
+          if (reason) {
+            skipped.set(plugin.id, reason);
+            changed = true;
+            break;
+          }
+        }
+      });
+    }
+
+    const candidates = enabled.filter(plugin => !skipped.has(plugin.id));
+    const candidateIds = new Set(candidates.map(plugin => plugin.id));
+    const dependencies = {};
+    const requirements = {};
+    const edges = {};
+    const resolveRefs = (refs) => {
+      const ids = new Set();
+      refs.forEach(ref => {
+        const target = this.findPlugin(plugins, ref);
+        if (target && candidateIds.has(target.id)) ids.add(target.id);
+      });
+      return [...ids];
+    };
+
+    candidates.forEach(plugin => {
+      // Both order the start; only @requires also gates it
+      requirements[plugin.id] = resolveRefs(requiresById[plugin.id]);
+      dependencies[plugin.id] = resolveRefs(requiresById[plugin.id].concat(loadAfterById[plugin.id]));
+      edges[plugin.id] = [];
+    });
+    candidates.forEach(plugin => {
+      dependencies[plugin.id].forEach(depId => edges[depId].push(plugin.id));
+    });
+
+    // Kahn's algorithm, always taking the ready plugin that comes first in storage order
+    const inDegree = {};
+    candidates.forEach(plugin => { inDegree[plugin.id] = dependencies[plugin.id].length; });
+    const ordered = [];
+    const placed = new Set();
+    let ready = candidates.filter(plugin => inDegree[plugin.id] === 0);
+
+    while (ready.length) {
+      const plugin = ready.shift();
+      ordered.push(plugin);
+      placed.add(plugin.id);
+      edges[plugin.id].forEach(nextId => { inDegree[nextId]--; });
+      ready = candidates.filter(next => !placed.has(next.id) && inDegree[next.id] === 0);
+    }
+
+    // Whatever is left is part of, or waits on, a cycle
+    const remaining = candidates.filter(plugin => !placed.has(plugin.id));
+    const cycles = this.findCycles(remaining, dependencies);
+    const inCycle = new Set(cycles.flat().map(plugin => plugin.id));
+    remaining.forEach(plugin => {
+      skipped.set(plugin.id, inCycle.has(plugin.id)
+        ? 'is part of a dependency cycle'
+        : 'depends on a plugin in a dependency cycle');
+    });
+
+    return {
+      ordered,
+      skipped: enabled
+        .filter(plugin => skipped.has(plugin.id))
+        .map(plugin => ({ id: plugin.id, name: plugin.name, reason: skipped.get(plugin.id) })),
+      cycles: cycles.map(cycle => cycle.map(plugin => plugin.name)),
+      dependencies,
+      requirements
+    };
+  },
+
+  /**
+   * Find dependency cycles (strongly connected components) among plugins (Tarjan)
+   * @param {Array} plugins - Plugins to inspect
+   * @param {Object} dependencies - Dependency IDs keyed by plugin ID
+   * @returns {Array<Array<Object>>} Each cycle as a list of plugins
+   */
+  findCycles(plugins, dependencies) {
+    const byId = new Map(plugins.map(plugin => [plugin.id, plugin]));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (id) => {
+      index.set(id, counter);
+      lowLink.set(id, counter);
+      counter++;
+      stack.push(id);
+      onStack.add(id);
+
+      (dependencies[id] || []).filter(depId => byId.has(depId)).forEach(depId => {
+        if (!index.has(depId)) {
+          visit(depId);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(depId)));
+        } else if (onStack.has(depId)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(depId)));
+        }
+      });
+
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let memberId;
+        do {
+          memberId = stack.pop();
+          onStack.delete(memberId);
+          component.unshift(byId.get(memberId));
+        } while (memberId !== id);
+
+        if (component.length > 1 || (dependencies[id] || []).includes(id)) {
+          cycles.push(component);
+        }
+      }
+    };
+
+    plugins.forEach(plugin => {
+      if (!index.has(plugin.id)) visit(plugin.id);
+    });
+    return cycles;
+  },
+
+  /**
+   * Create the lifecycle handle passed to a plugin as `plugin`
+   * @param {Object} record - Runtime record of the plugin
+   * @returns {Object} Plugin handle
+   */
+  createPluginHandle(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      meta: record.meta,
+      settings: Object.freeze({ ...record.settings }),
+      /**
+       * Register a callback to run once the plugin code has executed
+       * @param {Function} fn - Callback
+       */
+      onEnable(fn) {
+        if (typeof fn === 'function') record.enableCallbacks.push(fn);
+      },
+      /**
+       * Register a callback to run when the plugin is disabled, removed or re-injected
+       * @param {Function} fn - Callback
+       */
+      onDisable(fn) {
+        if (typeof fn === 'function') record.cleanups.push(fn);
+      }
+    };
+  },
+
+  /**
+   * Get the lifecycle handle of a running plugin (used by the injected wrapper)
+   * @param {string} id - Plugin ID
+   * @returns {Object|null} Plugin handle
+   */
+  getPluginHandle(id) {
+    return this.state.plugins[id]?.handle || null;
+  },
+
+  /**
+   * Get the `vrcx` context of a running plugin (used by the injected wrapper)
+   * @param {string} id - Plugin ID
+   * @returns {Object|null} Plugin context
+   */
+  getPluginContext(id) {
+    return this.state.plugins[id]?.context || null;
+  },
+
+  /**
+   * Get the extra globals of a running plugin, e.g. the GM_* API of userscripts (used by the injected wrapper)
+   * @param {string} id - Plugin ID
+   * @returns {Object} Globals by name
+   */
+  getPluginGlobals(id) {
+    return this.state.plugins[id]?.globals || {};
+  },
+
+  /**
+   * Run a single plugin and track it so it can be torn down later. The code receives
+   * `plugin` (lifecycle handle) and `vrcx` (helper context, see PluginContext); userscripts also get
+   * the GM_* API (see UserScript).
+   * The plugin's settings are fixed for the run; changing them restarts the plugin.
+   * @param {Object} plugin - Plugin object
+   * @param {Array<string>} dependencies - IDs of plugins this one requires
+   */
+  startPlugin(plugin, dependencies = []) {
+    const metadata = window.VRCXExtended.Metadata;
+    const pluginContext = window.VRCXExtended.PluginContext;
+    const errors = window.VRCXExtended.PluginErrors;
+    const record = {
+      id: plugin.id,
+      name: plugin.name,
+      code: plugin.code,
+      meta: metadata ? metadata.resolve(plugin) : {},
+      settings: this.getPluginSettings(plugin),
+      dependencies,
+      enableCallbacks: [],
+      cleanups: [],
+      script: null
+    };
+    record.handle = this.createPluginHandle(record);
+    record.context = pluginContext ? pluginContext.create(record) : null;
+    // Userscripts additionally get the GM_* API as globals
+    const userScript = window.VRCXExtended.UserScript;
+    record.globals = userScript?.isUserScript(plugin.code) ? userScript.createApi(record) : {};
+    this.state.plugins[plugin.id] = record;
+
+    errors?.beginStartup(plugin.id);
+
+    const id = JSON.stringify(plugin.id);
+    const globalNames = Object.keys(record.globals);
+    const globalParams = globalNames.map(name => ',' + name).join('');
+    const globalArgs = globalNames.map(name => ',g.' + name).join('');
+    const sourceUrl = errors ? `\n//# sourceURL=${errors.getSourceUrl(plugin.id, plugin.name)}` : '';
+    const script = document.createElement('script');
+    script.setAttribute('data-vrcxmods', 'plugin');
+    script.id = `vrcx-plugin-${plugin.id}`;
+    // The wrapper opens on the plugin's first line, so line numbers in stack traces match the editor
+    script.textContent = `(function(){var i=window.VRCXExtended.Injection,h=i.getPluginHandle(${id}),c=i.getPluginContext(${id}),g=i.getPluginGlobals(${id});try{var r=(function(plugin,vrcx${globalParams}){${plugin.code || ''}\n}).call(window,h,c${globalArgs});if(typeof r==='function')h.onDisable(r);}catch(e){i.reportPluginError(${id},e,'startup');}})();${sourceUrl}`;
+    // Requests made while the plugin runs are attributed to it
+    const audit = window.VRCXExtended.NetworkAudit;
+    const run = (fn) => audit ? audit.run(plugin.id, fn) : fn();
+    run(() => document.head.appendChild(script));
+    record.script = script;
+
+    record.enableCallbacks.forEach(fn => {
+      try {
+        run(fn);
+      } catch (error) {
+        this.reportPluginError(plugin.id, error, 'enable');
+      }
+    });
+  },
+
+  /**
+   * Report an error thrown by plugin code
+   * @param {string} id - Plugin ID
+   * @param {*} error - Error
+   * @param {string} phase - Where it happened (startup, enable, disable, ...)
+   */
+  reportPluginError(id, error, phase) {
+    const errors = window.VRCXExtended.PluginErrors;
+    if (errors) {
+      errors.report(id, error, phase);
+    } else {
+      console.error(`VRCX Plugin Error (${this.state.plugins[id]?.name || id}) in ${phase}`, error);
+    }
+  },
+
+  /**
+   * Tear down a running plugin: run its cleanups (newest first) and remove its script
+   * @param {string} id - Plugin ID
+   */
+  stopPlugin(id) {
+    const record = this.state.plugins[id];
+    if (!record) return;
+    delete this.state.plugins[id];
+    window.VRCXExtended.PluginErrors?.endStartup(id);
+
+    const audit = window.VRCXExtended.NetworkAudit;
+    record.cleanups.slice().reverse().forEach(fn => {
+      try {
+        audit ? audit.run(id, fn) : fn();
+      } catch (error) {
+        this.reportPluginError(id, error, 'disable');
+      }
+    });
+    window.VRCXExtended.Events?.removeOwner(id);
+
+    if (record.script) {
+      record.script.remove();
+    }
+  },
+
+  /**
+   * Tear down every running plugin
+   */
+  stopAllPlugins() {
+    Object.keys(this.state.plugins).forEach(id => this.stopPlugin(id));
+  },
+
+  /**
+   * Read stored plugins or themes; items held back by safe mode come back disabled
+   * @param {string} storageKey - Storage key
+   * @returns {Array} Items to inject
+   */
+  readItems(storageKey) {
+    const items = window.VRCXExtended.Utils.readJSON(storageKey, []);
+    const safeMode = window.VRCXExtended.SafeMode;
+    return safeMode ? safeMode.filter(items) : items;
+  },
+
   /**
    * Refresh themes only
    */
   refreshThemes() {
     const config = window.VRCXExtended.Config;
-    const utils = window.VRCXExtended.Utils;
     
-    const themes = utils.readJSON(config.KEYS.THEMES, []);
+    const themes = this.readItems(config.KEYS.THEMES);
     const injectedThemes = this.injectThemes(themes);
     
     // Show notification for theme refresh
     if (injectedThemes.length > 0) {
       this.showInjectionNotifications(injectedThemes, []);
     }
+    window.VRCXExtended.Events?.emitSystem('themes-refreshed', { themes: injectedThemes });
     
     return injectedThemes;
   },
@@ -83,15 +577,16 @@ window.VRCXExtended.Injection = {
    */
   refreshPlugins() {
     const config = window.VRCXExtended.Config;
-    const utils = window.VRCXExtended.Utils;
     
-    const plugins = utils.readJSON(config.KEYS.PLUGINS, []);
+    const plugins = this.readItems(config.KEYS.PLUGINS);
     const injectedPlugins = this.injectPlugins(plugins);
     
     // Show notification for plugin refresh
     if (injectedPlugins.length > 0) {
       this.showInjectionNotifications([], injectedPlugins);
     }
+    this.showDependencyNotifications(this.state.dependencyReport);
+    this.emitPluginsRefreshed(injectedPlugins);
     
     return injectedPlugins;
   },
@@ -101,16 +596,46 @@ window.VRCXExtended.Injection = {
    */
   refreshAll() {
     const config = window.VRCXExtended.Config;
-    const utils = window.VRCXExtended.Utils;
     
-    const plugins = utils.readJSON(config.KEYS.PLUGINS, []);
-    const themes = utils.readJSON(config.KEYS.THEMES, []);
+    const plugins = this.readItems(config.KEYS.PLUGINS);
+    const themes = this.readItems(config.KEYS.THEMES);
     
     const injectedThemes = this.injectThemes(themes);
     const injectedPlugins = this.injectPlugins(plugins);
     
     // Show startup injection notifications
     this.showInjectionNotifications(injectedThemes, injectedPlugins);
+    this.showDependencyNotifications(this.state.dependencyReport);
+    window.VRCXExtended.Events?.emitSystem('themes-refreshed', { themes: injectedThemes });
+    this.emitPluginsRefreshed(injectedPlugins);
+  },
+
+  /**
+   * Tell subscribers which plugins run after a refresh (vrcx:plugins-refreshed)
+   * @param {Array<string>} injectedPlugins - Names of plugins started by the refresh
+   */
+  emitPluginsRefreshed(injectedPlugins) {
+    const report = this.state.dependencyReport;
+    window.VRCXExtended.Events?.emitSystem('plugins-refreshed', {
+      started: injectedPlugins,
+      running: Object.values(this.state.plugins).map(record => ({ id: record.id, name: record.name })),
+      skipped: report.skipped,
+      waiting: report.waiting
+    });
+  },
+
+  /**
+   * Warn about plugins skipped because of missing dependencies or cycles
+   * @param {Object} report - Result of orderPlugins()
+   */
+  showDependencyNotifications(report) {
+    const utils = window.VRCXExtended.Utils;
+    if (!report.skipped.length) return;
+
+    const lines = report.skipped.map(entry =>
+      '<strong>' + utils.escapeHtml(entry.name) + '</strong> ' + utils.escapeHtml(entry.reason)
+    );
+    utils.showNotification('Plugins skipped:<br>' + lines.join('<br>'), 'warning', 8000);
   },
 
   /**
@@ -154,7 +679,25 @@ window.VRCXExtended.Injection = {
     window.$app.refreshVrcxPlugins = () => this.refreshPlugins();
     window.$app.refreshVrcxAll = () => this.refreshAll();
 
+    // Attribute uncaught plugin errors and network requests before any plugin runs
+    window.VRCXExtended.PluginErrors?.init();
+    window.VRCXExtended.NetworkAudit?.install();
+
     // Initial injection
     this.refreshAll();
+
+    // Store themes installed before the store index had roles count as add-ons until then
+    window.VRCXExtended.ThemeRoles?.migrateStoreRoles();
+
+    // Start and stop plugins as their @run-at / @match conditions change
+    window.VRCXExtended.Activation?.watch(() => {
+      this.injectPlugins(this.readItems(window.VRCXExtended.Config.KEYS.PLUGINS));
+    });
+
+    // Swap scheduled themes at their time boundaries and when the system color scheme changes
+    window.VRCXExtended.ThemeSchedule?.watch(() => this.refreshThemes());
+
+    // Debug mode: re-inject items linked to a local file or dev server when they change
+    window.VRCXExtended.HotReload?.start();
   }
 };
@@ -0,0 +1,157 @@
+// ==Module==
+// @name         VRCX-Extended Manager Theme
+// @description  Carries the user's themes over to the manager window
+// ==Module==
+
+/**
+ * Manager theme module for VRCX-Extended
+ * The manager window has its own document and stylesheet, so VRCX themes do not reach it.
+ * While the `themeManagerWindow` setting is on, one style element in the manager gets:
+ *
+ *   - the custom properties declared by the enabled VRCX themes, with the values they
+ *     resolve to in VRCX right now. The manager's stylesheet uses the same names as VRCX
+ *     (--bg-1, --text-2, --accent-1, ...), so themes built on them recolor both windows.
+ *   - the CSS of enabled themes with `@role popup`, which style the manager window only
+ *     and are never injected into VRCX. They can use the mirrored properties.
+ *
+ * The injection system calls apply() after every theme injection and ThemeVariables after
+ * every override change, so the manager follows toggles, edits, schedules and variables.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ManagerTheme = {
+  // Element ID of the style in the manager window
+  STYLE_ID: 'vrcx-extended-manager-theme',
+
+  // Role of themes that style the manager window instead of VRCX
+  ROLE: 'popup',
+
+  state: {
+    // Manager window, registered by the manager when it starts
+    window: null
+  },
+
+  /**
+   * Register the manager window and theme it
+   * @param {Window} win - Manager window
+   */
+  attach(win) {
+    this.state.window = win;
+    this.apply();
+  },
+
+  /**
+   * Get the manager window while it is open
+   * @returns {Window|null} Manager window
+   */
+  getWindow() {
+    const win = this.state.window;
+    if (!win || win.closed || !win.document?.head) {
+      this.state.window = null;
+      return null;
+    }
+    return win;
+  },
+
+  /**
+   * Check whether a theme styles the manager window
+   * @param {Object} theme - Theme object
+   * @returns {boolean} True for `@role popup` themes
+   */
+  isManagerTheme(theme) {
+    return window.VRCXExtended.ThemeRoles?.getRole(theme) === this.ROLE;
+  },
+
+  /**
+   * Collect the custom properties of the VRCX themes that are applied now
+   * @param {Array} themes - Stored themes, as filtered by safe mode
+   * @returns {Object} { '--name': value as resolved in VRCX }
+   */
+  collectVariables(themes) {
+    const schedule = window.VRCXExtended.ThemeSchedule;
+    const variables = window.VRCXExtended.ThemeVariables;
+    const names = new Set();
+
+    themes
+      .filter(theme => theme.enabled && !this.isManagerTheme(theme) && (!schedule || schedule.isActive(theme)))
+      .forEach(theme => {
+        const code = String(theme.code || '').replace(/\/\*[\s\S]*?\*\//g, '');
+        for (const match of code.matchAll(/(--[\w-]+)\s*:/g)) {
+          names.add(match[1]);
+        }
+        Object.keys(variables?.getOverrides(theme.id) || {}).forEach(name => names.add(name));
+      });
+
+    // Computed values include the user's overrides and whatever selector the theme used
+    const computed = getComputedStyle(document.documentElement);
+    const values = {};
+    names.forEach(name => {
+      const value = computed.getPropertyValue(name).trim();
+      if (value) values[name] = value;
+    });
+    return values;
+  },
+
+  /**
+   * Build the CSS for the manager window
+   * @param {Array} themes - Stored themes
+   * @returns {string} CSS, empty when there is nothing to apply
+   */
+  buildCss(themes) {
+    const schedule = window.VRCXExtended.ThemeSchedule;
+    const variables = window.VRCXExtended.ThemeVariables;
+    const injection = window.VRCXExtended.Injection;
+    const parts = [];
+
+    const values = this.collectVariables(themes);
+    const lines = Object.keys(values)
+      // A value may not close the block or start another declaration
+      .filter(name => !/[;{}]/.test(values[name]))
+      .map(name => `  ${name}: ${values[name]};`);
+    if (lines.length) {
+      parts.push(`:root {\n${lines.join('\n')}\n}`);
+    }
+
+    const ordered = injection ? injection.orderThemes(themes) : themes;
+    ordered
+      .filter(theme => theme.enabled && this.isManagerTheme(theme) && (!schedule || schedule.isActive(theme)))
+      .forEach(theme => {
+        parts.push(`/* ${String(theme.name || '').replace(/\*\//g, '')} */\n` +
+          (injection ? injection.buildThemeCss(theme) : theme.code || ''));
+        const overrides = variables?.buildCss(variables.getOverrides(theme.id));
+        if (overrides) parts.push(overrides);
+      });
+
+    return parts.join('\n\n');
+  },
+
+  /**
+   * Bring the manager window's style up to date with the stored themes
+   */
+  apply() {
+    const win = this.getWindow();
+    if (!win) return;
+
+    const config = window.VRCXExtended.Config;
+    const doc = win.document;
+    // Read like the injection does, so safe mode also keeps the manager window unthemed
+    const css = config.getSetting('themeManagerWindow')
+      ? this.buildCss(window.VRCXExtended.Injection.readItems(config.KEYS.THEMES))
+      : '';
+    let style = doc.getElementById(this.STYLE_ID);
+
+    if (!css) {
+      style?.remove();
+      return;
+    }
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = this.STYLE_ID;
+    }
+    style.textContent = css;
+    // Last in the head, so it wins over the manager's own stylesheet
+    if (doc.head.lastElementChild !== style) {
+      doc.head.appendChild(style);
+    }
+  }
+};
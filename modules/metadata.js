@@ -0,0 +1,284 @@
+// ==Module==
+// @name         VRCX-Extended Metadata
+// @description  Parses ==PLUGIN== / ==THEME== header blocks into structured item fields
+// ==Module==
+
+/**
+ * Metadata module for VRCX-Extended
+ * Reads the comment header that plugins and themes carry at the top of their code:
+ *
+ *   // ==PLUGIN==
+ *   // @name         My Plugin
+ *   // @version      1.0.0
+ *   // @requires     Helper Plugin
+ *   // @setting      opacity number(0,1,0.05) 0.15 Background opacity
+ *   // ==PLUGIN==
+ *
+ * Shared by the editor, the store installer and the injection system.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.Metadata = {
+  // Header block markers and the item type they describe
+  MARKERS: {
+    PLUGIN: 'plugin',
+    THEME: 'theme',
+    USERSCRIPT: 'userscript',
+    MODULE: 'module'
+  },
+
+  // Known header keys (after camelCasing) and how their values are read
+  FIELDS: {
+    name: 'single',
+    description: 'single',
+    creator: 'single',
+    dateCreated: 'single',
+    dateUpdated: 'single',
+    version: 'single',
+    runAt: 'single',
+    requires: 'list',
+    loadAfter: 'list',
+    match: 'list',
+    grant: 'list',
+    layer: 'single',
+    role: 'single',
+    setting: 'setting'
+  },
+
+  // Value types a plugin setting can declare
+  SETTING_TYPES: ['boolean', 'number', 'color', 'select', 'string'],
+
+  // Alternative key names mapped onto the known fields
+  ALIASES: {
+    author: 'creator'
+  },
+
+  // Fields that describe the item itself and live as top-level record fields
+  BASIC_FIELDS: ['name', 'description', 'creator'],
+
+  /**
+   * Parse the metadata header of a plugin or theme
+   * @param {string} code - Plugin or theme source
+   * @returns {Object|null} { type, fields, raw, startLine, endLine } or null when there is no header
+   */
+  parseHeader(code) {
+    if (typeof code !== 'string' || !code) return null;
+
+    const lines = code.split(/\r?\n/);
+    // Closing markers may carry a slash, as in userscripts (==/UserScript==)
+    const markerPattern = /==\s*\/?\s*(PLUGIN|THEME|USERSCRIPT|MODULE)\s*==/i;
+    let marker = null;
+    let startLine = -1;
+    let endLine = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(markerPattern);
+      if (!match) continue;
+
+      const tag = match[1].toUpperCase();
+      if (marker === null) {
+        marker = tag;
+        startLine = i;
+      } else if (tag === marker) {
+        endLine = i;
+        break;
+      }
+    }
+
+    if (marker === null || endLine === -1) return null;
+
+    const raw = {};
+    const fields = {};
+    const linePattern = /^\s*(?:\/\/+|\/?\*+)?\s*@([\w-]+)(?:\s+(.*?))?\s*(?:\*\/)?\s*$/;
+
+    for (let i = startLine + 1; i < endLine; i++) {
+      const match = lines[i].match(linePattern);
+      if (!match) continue;
+
+      const key = this.normalizeKey(match[1]);
+      const value = (match[2] || '').trim();
+      (raw[key] = raw[key] || []).push(value);
+
+      if (this.FIELDS[key] === 'list') {
+        fields[key] = (fields[key] || []).concat(this.splitList(value));
+      } else if (this.FIELDS[key] === 'single') {
+        fields[key] = value;
+      } else if (this.FIELDS[key] === 'setting') {
+        const setting = this.parseSetting(value);
+        if (setting) {
+          fields.settings = (fields.settings || []).concat(setting);
+        }
+      }
+    }
+
+    // Userscript @match patterns are URLs; VRCX is a single page, so they do not apply
+    if (marker === 'USERSCRIPT') {
+      delete fields.match;
+    }
+
+    return {
+      type: this.MARKERS[marker],
+      fields,
+      raw,
+      startLine,
+      endLine
+    };
+  },
+
+  /**
+   * Normalize a header key: camelCase it and resolve aliases (@run-at -> runAt, @author -> creator)
+   * @param {string} key - Key as written after the @
+   * @returns {string} Normalized key
+   */
+  normalizeKey(key) {
+    const camel = key.replace(/[-_]+([a-zA-Z0-9])/g, (_, ch) => ch.toUpperCase());
+    return this.ALIASES[camel] || camel;
+  },
+
+  /**
+   * Split a list value; entries are comma separated and may contain spaces
+   * @param {string} value - Raw value
+   * @returns {Array<string>} Non-empty entries
+   */
+  splitList(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  },
+
+  /**
+   * Parse an @setting declaration: <key> <type> <default> [label]
+   *
+   *   @setting  enabled   boolean            true       Show the badge
+   *   @setting  opacity   number(0,1,0.05)   0.15       Background opacity
+   *   @setting  accent    color              #ff6b35    Accent color
+   *   @setting  position  select(top|bottom) top        Position
+   *   @setting  title     string             "Hi there" Greeting
+   *
+   * @param {string} value - Declaration after @setting
+   * @returns {Object|null} { key, type, default, label, options?, min?, max?, step? } or null when invalid
+   */
+  parseSetting(value) {
+    const tokens = value.match(/"(?:[^"\\]|\\.)*"|\S+/g) || [];
+    if (tokens.length < 3) return null;
+
+    const typeMatch = tokens[1].match(/^(\w+)(?:\((.*)\))?$/);
+    if (!typeMatch || !this.SETTING_TYPES.includes(typeMatch[1].toLowerCase())) return null;
+
+    const unquote = (token) => /^".*"$/.test(token) ? token.slice(1, -1).replace(/\\(.)/g, '$1') : token;
+    const setting = {
+      key: tokens[0],
+      type: typeMatch[1].toLowerCase(),
+      label: tokens.slice(3).map(unquote).join(' ') || tokens[0]
+    };
+    const args = typeMatch[2] || '';
+
+    if (setting.type === 'select') {
+      setting.options = args.split('|').map(option => option.trim()).filter(Boolean);
+      if (!setting.options.length) return null;
+    } else if (setting.type === 'number' && args) {
+      const [min, max, step] = args.split(',').map(part => parseFloat(part));
+      if (!isNaN(min)) setting.min = min;
+      if (!isNaN(max)) setting.max = max;
+      if (!isNaN(step)) setting.step = step;
+    }
+
+    setting.default = this.coerceSetting(setting, unquote(tokens[2]));
+    return setting;
+  },
+
+  /**
+   * Convert a value to the type of a setting, falling back to its default when it does not fit
+   * @param {Object} setting - Setting declaration from parseSetting()
+   * @param {*} value - Raw value (string from a header or form, or stored value)
+   * @returns {*} Coerced value
+   */
+  coerceSetting(setting, value) {
+    switch (setting.type) {
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        return !!setting.default;
+      case 'number': {
+        let number = typeof value === 'number' ? value : parseFloat(value);
+        if (isNaN(number)) return typeof setting.default === 'number' ? setting.default : 0;
+        if (setting.min !== undefined) number = Math.max(setting.min, number);
+        if (setting.max !== undefined) number = Math.min(setting.max, number);
+        return number;
+      }
+      case 'color':
+        return /^#[0-9a-f]{3,8}$/i.test(String(value)) ? String(value) : (setting.default || '#000000');
+      case 'select':
+        return setting.options.includes(String(value)) ? String(value) : (setting.default ?? setting.options[0]);
+      default:
+        return value === undefined || value === null ? (setting.default ?? '') : String(value);
+    }
+  },
+
+  /**
+   * Get the structured fields to store on an item record from a header
+   * @param {Object|null} header - Parsed header
+   * @returns {Object} Fields other than name/description/creator, e.g. { version, requires }
+   */
+  getItemFields(header) {
+    const meta = {};
+    if (!header) return meta;
+
+    Object.keys(header.fields).forEach(key => {
+      if (!this.BASIC_FIELDS.includes(key)) {
+        meta[key] = header.fields[key];
+      }
+    });
+    return meta;
+  },
+
+  /**
+   * Refresh an item's stored metadata from its code
+   * @param {Object} item - Plugin or theme record (modified in place)
+   * @returns {Object|null} Parsed header
+   */
+  applyHeader(item) {
+    const header = this.parseHeader(item.code);
+    item.meta = this.getItemFields(header);
+    return header;
+  },
+
+  /**
+   * Resolve the effective metadata of an item. The header in the code wins; list
+   * fields declared directly on the record (e.g. from the store index) are merged in.
+   * Userscripts without @run-at get Tampermonkey's default, document-idle.
+   * @param {Object} item - Plugin or theme record
+   * @returns {Object} Resolved metadata fields
+   */
+  resolve(item) {
+    const header = this.parseHeader(item?.code);
+    const resolved = { ...(item?.meta || {}), ...(header ? header.fields : {}) };
+    // Userscripts without @run-at start like in Tampermonkey, whose default is document-idle
+    if (header?.type === this.MARKERS.USERSCRIPT && !resolved.runAt) {
+      resolved.runAt = 'document-idle';
+    }
+
+    Object.keys(this.FIELDS).forEach(key => {
+      if (this.FIELDS[key] === 'list') {
+        const declared = Array.isArray(item?.[key]) ? item[key] : [];
+        resolved[key] = [...new Set([...(resolved[key] || []), ...declared])];
+      } else if (resolved[key] === undefined && typeof item?.[key] === 'string') {
+        resolved[key] = item[key];
+      }
+    });
+
+    return resolved;
+  },
+
+  /**
+   * Find fields where the header and the stored item disagree
+   * @param {Object|null} header - Parsed header
+   * @param {Object} item - Object with name, description and creator
+   * @returns {Array<Object>} Mismatches as { field, header, item }
+   */
+  compareWithItem(header, item) {
+    if (!header) return [];
+
+    return this.BASIC_FIELDS
+      .filter(field => header.fields[field] && item[field] && header.fields[field] !== item[field])
+      .map(field => ({ field, header: header.fields[field], item: item[field] }));
+  }
+};
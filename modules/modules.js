@@ -55,7 +55,7 @@ window.VRCXExtended.ModuleSystem = {
         
         // Module dependency groups for parallel loading
         dependencyGroups: [
-            ['config.js', 'utils.js'], // Core dependencies (parallel)
+            ['config.js', 'utils.js', 'metadata.js', 'context.js', 'errors.js', 'safe-mode.js', 'activation.js', 'hot-reload.js', 'events.js', 'profiler.js', 'permissions.js', 'risk-scan.js', 'network-audit.js', 'userscript.js', 'theme-variables.js', 'theme-roles.js', 'theme-preview.js', 'css-lint.js', 'theme-coverage.js', 'theme-generator.js', 'theme-schedule.js', 'manager-theme.js'], // Core dependencies (parallel)
             ['injection.js'],           // Injection system
             ['ui.js', 'store.js'], // UI components and store (parallel)
             ['popup.js']               // Popup (depends on all above)
@@ -70,7 +70,7 @@ window.VRCXExtended.ModuleSystem = {
         // Cache configuration
         cache: {
             maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            version: '5.1.1' // Incremented to bust cache after Utils fix
+            version: '5.21.0' // Incremented to bust cache after adding the Manager Theme module
         },
         
         // Loading timeouts
@@ -723,7 +723,7 @@ window.VRCXExtended.ModuleSystem = {
             return false;
         }
 
-        const { Config, Utils, Injection, UI } = window.VRCXExtended;
+        const { Config, Utils, Injection, UI, SafeMode } = window.VRCXExtended;
 
         try {
             console.log('🚀 Initializing VRCX-Extended system...');
@@ -768,7 +768,17 @@ window.VRCXExtended.ModuleSystem = {
             }
             console.log('📋 Step 0 completed, moving to injection...');
             
-            // 1. Initialize injection system (sets up API and applies existing content)
+            // 1. Initialize injection system (sets up API and applies existing content).
+            // Safe mode is decided first so a broken plugin or theme never gets injected.
+            try {
+                const safeModeReason = SafeMode?.detect();
+                if (safeModeReason) {
+                    SafeMode.enter(safeModeReason);
+                }
+            } catch (safeModeError) {
+                console.error('❌ Safe mode check failed:', safeModeError);
+            }
+            
             try {
                 Injection.init();
                 console.log('✓ Injection system initialized');
@@ -797,6 +807,10 @@ window.VRCXExtended.ModuleSystem = {
             
             // Set up global error handler for runtime errors
             window.addEventListener('error', (event) => {
+                // Plugin errors are attributed and reported by PluginErrors
+                if (window.VRCXExtended.PluginErrors?.findPluginId(event.error?.stack || event.filename)) {
+                    return;
+                }
                 if (event.filename?.includes('vrcx-extended') || event.message?.includes('VRCX')) {
                     console.error('🐛 VRCX-Extended runtime error:', {
                         message: event.message,
@@ -817,6 +831,9 @@ window.VRCXExtended.ModuleSystem = {
                 }
             });
             
+            // Reset the crashed boot counter once this start has stayed up for a while
+            SafeMode?.markBootStable();
+            
             // Log successful initialization
             Utils.safeConsoleLog('log', '🎉 VRCX-Extended initialized successfully');
             Utils.safeConsoleLog('info', 'All modules loaded and system is ready');
@@ -0,0 +1,264 @@
+// ==Module==
+// @name         VRCX-Extended Network Audit
+// @description  Attributes fetch, XMLHttpRequest and WebSocket traffic to plugins, logs it and enforces host allowlists
+// ==Module==
+
+/**
+ * Network audit module for VRCX-Extended
+ * fetch, XMLHttpRequest.open and the WebSocket constructor are wrapped once. A request
+ * belongs to a plugin when it is made
+ *  - while the plugin runs: its top level, lifecycle callbacks and the observer, timer and
+ *    event callbacks registered through `vrcx` (see run()), or
+ *  - from the plugin's own code, found through its sourceURL in the call stack (this also
+ *    covers code that runs after an await).
+ *
+ * Plugin requests go to an in-memory ring buffer shown in the manager's Network view. Query
+ * strings are dropped because they often carry tokens. A plugin with an enabled allowlist
+ * can only reach the hosts on it; other requests fail and are logged as blocked.
+ * Requests made by VRCX itself are never logged or blocked.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.NetworkAudit = {
+  // Entries kept in the audit log
+  LOG_SIZE: 500,
+
+  state: {
+    installed: false,
+    // Plugin IDs whose code is running right now (innermost last)
+    current: [],
+    log: [],
+    // Cached allowlists: { pluginId: { enabled, hosts } }
+    allowlists: null,
+    // "pluginId host" pairs already notified as blocked this session
+    notified: new Set()
+  },
+
+  /**
+   * Wrap fetch, XMLHttpRequest and WebSocket. Safe to call more than once.
+   */
+  install() {
+    if (this.state.installed) return;
+    this.state.installed = true;
+    const audit = this;
+
+    if (typeof window.fetch === 'function') {
+      window.fetch = new Proxy(window.fetch, {
+        apply(target, thisArg, args) {
+          const [input, init] = args;
+          const url = typeof input === 'string' ? input : input?.url || String(input);
+          const method = init?.method || input?.method || 'GET';
+          const blocked = audit.check('fetch', method, url);
+          if (blocked) return Promise.reject(blocked);
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    }
+
+    if (window.XMLHttpRequest) {
+      const proto = window.XMLHttpRequest.prototype;
+      proto.open = new Proxy(proto.open, {
+        apply(target, thisArg, args) {
+          const blocked = audit.check('xhr', args[0], String(args[1]));
+          if (blocked) throw blocked;
+          return Reflect.apply(target, thisArg, args);
+        }
+      });
+    }
+
+    if (window.WebSocket) {
+      window.WebSocket = new Proxy(window.WebSocket, {
+        construct(target, args, newTarget) {
+          const blocked = audit.check('websocket', 'CONNECT', String(args[0]));
+          if (blocked) throw blocked;
+          return Reflect.construct(target, args, newTarget);
+        }
+      });
+    }
+  },
+
+  /**
+   * Run a function on behalf of a plugin, so requests it makes are attributed to it
+   * @param {string} pluginId - Plugin ID
+   * @param {Function} fn - Function to run
+   * @returns {*} Return value of fn
+   */
+  run(pluginId, fn) {
+    this.state.current.push(pluginId);
+    try {
+      return fn();
+    } finally {
+      this.state.current.pop();
+    }
+  },
+
+  /**
+   * Wrap a callback so requests made inside it are attributed to a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Function} fn - Callback
+   * @returns {Function} Wrapped callback
+   */
+  wrap(pluginId, fn) {
+    const audit = this;
+    return function(...args) {
+      return audit.run(pluginId, () => fn.apply(this, args));
+    };
+  },
+
+  /**
+   * Find the plugin making the current request
+   * @returns {string|null} Plugin ID, or null for requests made by VRCX
+   */
+  getCurrentPlugin() {
+    const current = this.state.current[this.state.current.length - 1];
+    if (current) return current;
+    return window.VRCXExtended.PluginErrors?.findPluginId(new Error().stack) || null;
+  },
+
+  /**
+   * Log a request and decide whether it may go out
+   * @param {string} type - fetch, xhr or websocket
+   * @param {string} method - HTTP method
+   * @param {string} url - Requested URL
+   * @returns {Error|null} Error to fail the request with, or null to let it through
+   */
+  check(type, method, url) {
+    const pluginId = this.getCurrentPlugin();
+    if (!pluginId) return null;
+
+    const target = this.parseUrl(url);
+    const allowed = this.isAllowed(pluginId, target.host);
+    const record = window.VRCXExtended.Injection?.state.plugins[pluginId];
+    const name = record?.name || window.VRCXExtended.PluginErrors?.getPlugin(pluginId)?.name || pluginId;
+    const grants = (record?.meta?.grant || []).map(grant => window.VRCXExtended.Permissions?.normalize(grant) || grant);
+
+    this.log({
+      time: new Date().toISOString(),
+      pluginId,
+      pluginName: name,
+      type,
+      method: String(method || 'GET').toUpperCase(),
+      host: target.host,
+      url: target.url,
+      blocked: !allowed,
+      declared: grants.includes('network')
+    });
+
+    if (allowed) return null;
+
+    const key = pluginId + ' ' + target.host;
+    if (!this.state.notified.has(key)) {
+      this.state.notified.add(key);
+      const utils = window.VRCXExtended.Utils;
+      utils.showNotification(
+        'Blocked a request from <strong>' + utils.escapeHtml(name) + '</strong> to ' +
+        utils.escapeHtml(target.host) + ' (not on its allowlist)',
+        'warning'
+      );
+    }
+    return new TypeError(`VRCX-Extended blocked ${type} to ${target.host}: not on the allowlist of "${name}"`);
+  },
+
+  /**
+   * Split a URL into host and a loggable form without query string or hash
+   * @param {string} url - URL, possibly relative
+   * @returns {Object} { host, url }
+   */
+  parseUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return { host: parsed.host, url: parsed.origin + parsed.pathname };
+    } catch (error) {
+      return { host: '', url: String(url).split(/[?#]/)[0] };
+    }
+  },
+
+  /**
+   * Add an entry to the ring buffer
+   * @param {Object} entry - Log entry
+   */
+  log(entry) {
+    this.state.log.push(entry);
+    if (this.state.log.length > this.LOG_SIZE) {
+      this.state.log.splice(0, this.state.log.length - this.LOG_SIZE);
+    }
+  },
+
+  /**
+   * Get logged requests, newest first
+   * @param {string} pluginId - Only entries of this plugin (optional)
+   * @returns {Array<Object>} Entries
+   */
+  getLog(pluginId) {
+    const entries = pluginId ? this.state.log.filter(entry => entry.pluginId === pluginId) : this.state.log;
+    return entries.slice().reverse();
+  },
+
+  /**
+   * Empty the audit log
+   */
+  clearLog() {
+    this.state.log = [];
+  },
+
+  /**
+   * Read all stored allowlists
+   * @returns {Object} { pluginId: { enabled, hosts } }
+   */
+  getAllowlists() {
+    if (!this.state.allowlists) {
+      const config = window.VRCXExtended.Config;
+      this.state.allowlists = window.VRCXExtended.Utils.readJSON(config.KEYS.NETWORK_ALLOWLISTS, {});
+    }
+    return this.state.allowlists;
+  },
+
+  /**
+   * Get the allowlist of a plugin
+   * @param {string} pluginId - Plugin ID
+   * @returns {Object} { enabled, hosts }
+   */
+  getAllowlist(pluginId) {
+    return this.getAllowlists()[pluginId] || { enabled: false, hosts: [] };
+  },
+
+  /**
+   * Store the allowlist of a plugin
+   * @param {string} pluginId - Plugin ID
+   * @param {Object|null} allowlist - { enabled, hosts }, or null to remove it
+   */
+  setAllowlist(pluginId, allowlist) {
+    const all = { ...this.getAllowlists() };
+    if (allowlist) {
+      all[pluginId] = {
+        enabled: !!allowlist.enabled,
+        hosts: (allowlist.hosts || []).map(host => String(host).trim().toLowerCase()).filter(Boolean)
+      };
+    } else {
+      delete all[pluginId];
+    }
+    this.state.allowlists = all;
+    window.VRCXExtended.Utils.writeJSON(window.VRCXExtended.Config.KEYS.NETWORK_ALLOWLISTS, all);
+  },
+
+  /**
+   * Check a host against a plugin's allowlist. `*.example.com` matches subdomains too.
+   * @param {string} pluginId - Plugin ID
+   * @param {string} host - Host (with port, if any)
+   * @returns {boolean} True when the request may go out
+   */
+  isAllowed(pluginId, host) {
+    const allowlist = this.getAllowlist(pluginId);
+    if (!allowlist.enabled) return true;
+
+    const hostname = String(host).toLowerCase();
+    const bare = hostname.replace(/:\d+$/, '');
+    return allowlist.hosts.some(pattern => {
+      if (pattern.startsWith('*.')) {
+        const domain = pattern.slice(2);
+        return bare === domain || bare.endsWith('.' + domain);
+      }
+      return pattern === hostname || pattern === bare;
+    });
+  }
+};
@@ -0,0 +1,123 @@
+// ==Module==
+// @name         VRCX-Extended Permissions
+// @description  Reads the capabilities a plugin declares with @grant and compares them between versions
+// ==Module==
+
+/**
+ * Permissions module for VRCX-Extended
+ * Plugins declare what they use in their header:
+ *
+ *   // @grant  network, vrcx-api
+ *
+ * Grants are shown for review before a store plugin is installed, and when an update asks
+ * for more than the installed version. They describe intent; plugin code still runs with
+ * full access to VRCX, so the review is what protects the user.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.Permissions = {
+  // Known grants; `sensitive` ones can reach the user's VRChat session or other servers
+  GRANTS: {
+    'network': {
+      label: 'Network',
+      description: 'Send requests to other servers (fetch, XMLHttpRequest, WebSocket)',
+      sensitive: true
+    },
+    'vrcx-api': {
+      label: 'VRCX API',
+      description: 'Use VRCX internals and your logged in VRChat session',
+      sensitive: true
+    },
+    'storage': {
+      label: 'Storage',
+      description: 'Keep data in VRCX local storage',
+      sensitive: false
+    },
+    'dom': {
+      label: 'Interface',
+      description: 'Read and change the VRCX interface',
+      sensitive: false
+    }
+  },
+
+  // Other spellings accepted for @grant
+  ALIASES: {
+    'net': 'network',
+    'fetch': 'network',
+    'api': 'vrcx-api',
+    'vrcx': 'vrcx-api',
+    'localstorage': 'storage',
+    'ui': 'dom',
+    // Userscript grants
+    'gm-xmlhttprequest': 'network',
+    'gm.xmlhttprequest': 'network',
+    'gm-getvalue': 'storage',
+    'gm-setvalue': 'storage',
+    'gm-deletevalue': 'storage',
+    'gm-listvalues': 'storage',
+    'gm.getvalue': 'storage',
+    'gm.setvalue': 'storage',
+    'gm.deletevalue': 'storage',
+    'gm.listvalues': 'storage',
+    'gm-addstyle': 'dom',
+    'gm.addstyle': 'dom',
+    'unsafewindow': 'vrcx-api'
+  },
+
+  // Grants that declare nothing (`@grant none` in userscripts)
+  EMPTY_GRANTS: ['none'],
+
+  /**
+   * Normalize a grant name
+   * @param {string} grant - Declared grant
+   * @returns {string} Normalized grant (unknown grants are kept, lowercased)
+   */
+  normalize(grant) {
+    const key = String(grant || '').trim().toLowerCase().replace(/[\s_]+/g, '-');
+    return this.ALIASES[key] || key;
+  },
+
+  /**
+   * Get the grants a plugin declares
+   * @param {string|Object} source - Plugin code, or a plugin record
+   * @returns {Array<string>} Normalized, de-duplicated grants in declaration order
+   */
+  getGrants(source) {
+    const metadata = window.VRCXExtended.Metadata;
+    const declared = typeof source === 'string'
+      ? metadata.parseHeader(source)?.fields.grant || []
+      : metadata.resolve(source).grant || [];
+    return [...new Set(declared.map(grant => this.normalize(grant)).filter(grant => grant && !this.EMPTY_GRANTS.includes(grant)))];
+  },
+
+  /**
+   * Compare the grants of two versions of a plugin
+   * @param {Array<string>} before - Grants of the installed version
+   * @param {Array<string>} after - Grants of the new version
+   * @returns {Object} { added, removed, kept }
+   */
+  diff(before, after) {
+    return {
+      added: after.filter(grant => !before.includes(grant)),
+      removed: before.filter(grant => !after.includes(grant)),
+      kept: after.filter(grant => before.includes(grant))
+    };
+  },
+
+  /**
+   * Describe a grant for display
+   * @param {string} grant - Normalized grant
+   * @returns {Object} { id, label, description, sensitive, known }
+   */
+  describe(grant) {
+    const known = this.GRANTS[grant];
+    if (known) return { id: grant, ...known, known: true };
+    return {
+      id: grant,
+      label: grant,
+      description: 'Unknown permission',
+      sensitive: true,
+      known: false
+    };
+  }
+};
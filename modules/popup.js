@@ -164,6 +164,12 @@ window.VRCXExtended.Popup = {
   };
   
   window.VRCXExtended.PopupManager = {
+    // Plugin ID the Network view is filtered to ('' for all)
+    networkFilter: '',
+
+    // Whether store theme previews hide the installed themes instead of going on top of them
+    previewReplace: true,
+
     getSection() { 
       return document.querySelector('.sidebar .menu-item.active')?.dataset.section || 'plugins'; 
     },
@@ -181,6 +187,8 @@ window.VRCXExtended.Popup = {
         'plugins': 'Plugins',
         'themes': 'Themes',
         'store': 'Store',
+        'performance': 'Performance',
+        'network': 'Network',
         'settings': 'Settings'
       };
       document.getElementById('sectionTitle').textContent = titles[sec] || 'Unknown';
@@ -188,6 +196,8 @@ window.VRCXExtended.Popup = {
       // Show/hide create button based on section
       const createBtn = document.getElementById('createBtn');
       createBtn.style.display = (sec === 'plugins' || sec === 'themes') ? 'inline-flex' : 'none';
+      document.getElementById('importBtn').style.display = sec === 'plugins' ? 'inline-flex' : 'none';
+      document.getElementById('generateBtn').style.display = sec === 'themes' ? 'inline-flex' : 'none';
       
       // Show/hide store subtabs
       const storeSubtabs = document.querySelector('.store-subtabs');
@@ -210,6 +220,12 @@ window.VRCXExtended.Popup = {
         case 'store':
           this.renderStore();
           break;
+        case 'performance':
+          this.renderPerformance();
+          break;
+        case 'network':
+          this.renderNetwork();
+          break;
         case 'settings':
           this.renderSettings();
           break;
@@ -228,6 +244,88 @@ window.VRCXExtended.Popup = {
       
       // Use simplified UI rendering
       this.simpleRenderList(data, section, list);
+
+      // Dependency cycles keep every plugin involved from loading
+      const cycles = section === 'plugins' ? this.getDependencyReport().cycles : [];
+      if (cycles.length) {
+        const banner = document.createElement('div');
+        banner.className = 'card-badge error';
+        banner.style.display = 'block';
+        banner.style.marginBottom = '12px';
+        banner.textContent = 'Dependency cycle detected, these plugins were not loaded: ' +
+          cycles.map(cycle => cycle.join(' → ')).join('; ');
+        list.insertBefore(banner, list.firstChild);
+      }
+
+      // Safe mode holds back every item until it is loaded by hand
+      const safeMode = window.opener?.VRCXExtended?.SafeMode;
+      if (safeMode?.state.active) {
+        list.insertBefore(this.createSafeModeBanner(section, data, safeMode), list.firstChild);
+      }
+    },
+
+    createSafeModeBanner(section, data, safeMode) {
+      const banner = document.createElement('div');
+      banner.className = 'safe-mode-banner';
+
+      const header = document.createElement('div');
+      header.className = 'safe-mode-header';
+
+      const text = document.createElement('div');
+      const title = document.createElement('strong');
+      title.textContent = 'Safe mode is on';
+      const reason = document.createElement('div');
+      reason.className = 'muted';
+      reason.textContent = 'Nothing was injected because ' + safeMode.state.reason + '. Load items one by one to find the one causing problems.';
+      text.appendChild(title);
+      text.appendChild(reason);
+
+      const exitBtn = document.createElement('button');
+      exitBtn.className = 'btn primary';
+      exitBtn.textContent = 'Exit safe mode';
+      exitBtn.addEventListener('click', () => {
+        safeMode.exit();
+        this.renderCurrentSection();
+      });
+
+      header.appendChild(text);
+      header.appendChild(exitBtn);
+      banner.appendChild(header);
+
+      const heldBack = safeMode.getHeldBack(data);
+      if (!heldBack.length) {
+        const done = document.createElement('div');
+        done.className = 'muted';
+        done.textContent = 'All enabled ' + section + ' are loaded.';
+        banner.appendChild(done);
+      }
+
+      heldBack.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'safe-mode-item';
+
+        const name = document.createElement('span');
+        name.textContent = item.name || '(untitled)';
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'btn';
+        loadBtn.textContent = 'Load';
+        loadBtn.addEventListener('click', () => {
+          safeMode.load(section, item.id);
+          this.renderCurrentSection();
+        });
+
+        row.appendChild(name);
+        row.appendChild(loadBtn);
+        banner.appendChild(row);
+      });
+
+      return banner;
+    },
+
+    getDependencyReport() {
+      return window.opener?.VRCXExtended?.Injection?.state?.dependencyReport ||
+        { ordered: [], skipped: [], waiting: [], cycles: [], dependencies: {}, requirements: {} };
     },
 
     renderSettings() {
@@ -235,9 +333,291 @@ window.VRCXExtended.Popup = {
       this.simpleRenderSettings(list);
     },
 
+    renderPerformance() {
+      const list = document.getElementById('list');
+      list.innerHTML = '';
+      const profiler = window.opener?.VRCXExtended?.Profiler;
+      if (!profiler) {
+        list.innerHTML = '<div class="muted">Performance data is not available.</div>';
+        return;
+      }
+
+      const view = document.createElement('div');
+      view.className = 'perf-view';
+
+      const header = document.createElement('div');
+      header.className = 'perf-header';
+      const info = document.createElement('div');
+      info.className = 'muted';
+      info.textContent = 'Main thread time per plugin this session: starting it, plus observer and timer callbacks created through the vrcx helpers. Most expensive first.';
+
+      const buttons = document.createElement('div');
+      buttons.className = 'perf-buttons';
+      const refreshBtn = document.createElement('button');
+      refreshBtn.className = 'btn';
+      refreshBtn.innerHTML = '<i class="el-icon-refresh"></i> Refresh';
+      refreshBtn.addEventListener('click', () => this.setSection('performance'));
+      const resetBtn = document.createElement('button');
+      resetBtn.className = 'btn';
+      resetBtn.textContent = 'Reset';
+      resetBtn.addEventListener('click', () => {
+        profiler.reset();
+        this.setSection('performance');
+      });
+      buttons.appendChild(refreshBtn);
+      buttons.appendChild(resetBtn);
+      header.appendChild(info);
+      header.appendChild(buttons);
+      view.appendChild(header);
+
+      const rows = profiler.getReport();
+      if (!rows.length) {
+        const empty = document.createElement('div');
+        empty.className = 'muted';
+        empty.textContent = 'No plugin has run yet.';
+        view.appendChild(empty);
+        list.appendChild(view);
+        return;
+      }
+
+      const table = document.createElement('table');
+      table.className = 'perf-table';
+      const head = document.createElement('tr');
+      ['Plugin', 'Total', 'Injection', 'Observers', 'Timers'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        head.appendChild(th);
+      });
+      table.appendChild(head);
+
+      const maxTotal = rows[0].total || 1;
+      rows.forEach(row => {
+        const tr = document.createElement('tr');
+
+        const nameCell = document.createElement('td');
+        nameCell.textContent = row.name || row.id;
+        if (!row.running) {
+          const stopped = document.createElement('span');
+          stopped.className = 'muted';
+          stopped.textContent = ' (stopped)';
+          nameCell.appendChild(stopped);
+        }
+        const bar = document.createElement('div');
+        bar.className = 'perf-bar';
+        bar.style.width = Math.max(2, Math.round(row.total / maxTotal * 100)) + '%';
+        nameCell.appendChild(bar);
+        tr.appendChild(nameCell);
+
+        const totalCell = document.createElement('td');
+        totalCell.className = 'perf-total';
+        totalCell.textContent = this.formatDuration(row.total);
+        tr.appendChild(totalCell);
+
+        profiler.KINDS.forEach(kind => {
+          tr.appendChild(this.createPerfCell(row[kind], profiler.SLOW_CALL));
+        });
+        table.appendChild(tr);
+      });
+
+      view.appendChild(table);
+      list.appendChild(view);
+    },
+
+    createPerfCell(bucket, slowCall) {
+      const cell = document.createElement('td');
+      if (!bucket.count) {
+        cell.className = 'muted';
+        cell.textContent = '-';
+        return cell;
+      }
+
+      const total = document.createElement('div');
+      total.textContent = this.formatDuration(bucket.total);
+      const detail = document.createElement('div');
+      detail.className = 'muted perf-detail';
+      detail.textContent = bucket.count + (bucket.count === 1 ? ' call' : ' calls') + ', max ' + this.formatDuration(bucket.max);
+      cell.appendChild(total);
+      cell.appendChild(detail);
+
+      if (bucket.slow) {
+        cell.classList.add('perf-slow');
+        cell.title = bucket.slow + ' of ' + bucket.count + ' calls took longer than ' + slowCall + ' ms';
+      }
+      return cell;
+    },
+
+    formatDuration(ms) {
+      if (ms >= 1000) return (ms / 1000).toFixed(2) + ' s';
+      return (ms < 10 ? ms.toFixed(2) : ms.toFixed(1)) + ' ms';
+    },
+
+    renderNetwork() {
+      const list = document.getElementById('list');
+      list.innerHTML = '';
+      const audit = window.opener?.VRCXExtended?.NetworkAudit;
+      if (!audit) {
+        list.innerHTML = '<div class="muted">Network audit is not available.</div>';
+        return;
+      }
+
+      const plugins = this.readJSON(KEYS.PLUGINS, []);
+      if (this.networkFilter && !plugins.some(p => p.id === this.networkFilter)) {
+        this.networkFilter = '';
+      }
+
+      const view = document.createElement('div');
+      view.className = 'perf-view';
+
+      const header = document.createElement('div');
+      header.className = 'perf-header';
+      const info = document.createElement('div');
+      info.className = 'muted';
+      info.textContent = 'Requests made by plugins this session (fetch, XMLHttpRequest and WebSocket), newest first. The last ' + audit.LOG_SIZE + ' are kept; query strings are not recorded.';
+
+      const buttons = document.createElement('div');
+      buttons.className = 'perf-buttons';
+      const filter = document.createElement('select');
+      filter.className = 'net-filter';
+      filter.appendChild(new Option('All plugins', ''));
+      plugins.forEach(p => filter.appendChild(new Option(p.name || p.id, p.id)));
+      filter.value = this.networkFilter;
+      filter.addEventListener('change', () => {
+        this.networkFilter = filter.value;
+        this.setSection('network');
+      });
+      const refreshBtn = document.createElement('button');
+      refreshBtn.className = 'btn';
+      refreshBtn.innerHTML = '<i class="el-icon-refresh"></i> Refresh';
+      refreshBtn.addEventListener('click', () => this.setSection('network'));
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn';
+      clearBtn.textContent = 'Clear';
+      clearBtn.addEventListener('click', () => {
+        audit.clearLog();
+        this.setSection('network');
+      });
+      buttons.appendChild(filter);
+      buttons.appendChild(refreshBtn);
+      buttons.appendChild(clearBtn);
+      header.appendChild(info);
+      header.appendChild(buttons);
+      view.appendChild(header);
+
+      const shown = this.networkFilter ? plugins.filter(p => p.id === this.networkFilter) : plugins;
+      if (shown.length) {
+        view.appendChild(this.createAllowlistTable(shown, audit));
+      }
+
+      const entries = audit.getLog(this.networkFilter);
+      if (!entries.length) {
+        const empty = document.createElement('div');
+        empty.className = 'muted';
+        empty.textContent = 'No plugin requests recorded yet.';
+        view.appendChild(empty);
+        list.appendChild(view);
+        return;
+      }
+
+      const table = document.createElement('table');
+      table.className = 'perf-table';
+      const head = document.createElement('tr');
+      ['Time', 'Plugin', 'Type', 'Method', 'Host', 'Status'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        head.appendChild(th);
+      });
+      table.appendChild(head);
+
+      entries.forEach(entry => {
+        const tr = document.createElement('tr');
+        const cells = [
+          new Date(entry.time).toLocaleTimeString(),
+          entry.pluginName,
+          entry.type,
+          entry.method,
+          entry.host || '-'
+        ];
+        cells.forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+        tr.children[4].title = entry.url;
+
+        const status = document.createElement('td');
+        const tag = document.createElement('span');
+        tag.className = 'net-status' + (entry.blocked ? ' blocked' : '');
+        tag.textContent = entry.blocked ? 'Blocked' : 'Allowed';
+        status.appendChild(tag);
+        if (!entry.declared) {
+          const undeclared = document.createElement('span');
+          undeclared.className = 'net-status undeclared';
+          undeclared.textContent = 'No @grant network';
+          undeclared.title = 'The plugin does not declare network access in its header';
+          status.appendChild(undeclared);
+        }
+        tr.appendChild(status);
+        table.appendChild(tr);
+      });
+
+      view.appendChild(table);
+      list.appendChild(view);
+    },
+
+    createAllowlistTable(plugins, audit) {
+      const section = document.createElement('div');
+      section.className = 'net-allowlists';
+      const title = document.createElement('div');
+      title.className = 'net-allowlists-title';
+      title.textContent = 'Host allowlists';
+      const hint = document.createElement('div');
+      hint.className = 'muted';
+      hint.textContent = 'When enabled, a plugin can only reach the listed hosts (comma separated, *.example.com for subdomains). Everything else is blocked.';
+      section.appendChild(title);
+      section.appendChild(hint);
+
+      plugins.forEach(plugin => {
+        const allowlist = audit.getAllowlist(plugin.id);
+        const row = document.createElement('div');
+        row.className = 'net-allowlist';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'net-allowlist-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = allowlist.enabled;
+        const name = document.createElement('span');
+        name.textContent = plugin.name || plugin.id;
+        toggle.appendChild(checkbox);
+        toggle.appendChild(name);
+
+        const hosts = document.createElement('input');
+        hosts.type = 'text';
+        hosts.className = 'net-allowlist-hosts';
+        hosts.placeholder = 'api.example.com, *.example.org';
+        hosts.value = allowlist.hosts.join(', ');
+        hosts.disabled = !allowlist.enabled;
+
+        const save = () => {
+          audit.setAllowlist(plugin.id, { enabled: checkbox.checked, hosts: hosts.value.split(',') });
+          hosts.disabled = !checkbox.checked;
+        };
+        checkbox.addEventListener('change', save);
+        hosts.addEventListener('change', save);
+
+        row.appendChild(toggle);
+        row.appendChild(hosts);
+        section.appendChild(row);
+      });
+      return section;
+    },
+
     simpleRenderList(data, section, listElement) {
       listElement.innerHTML = '';
-      const sortedData = data.slice().sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      // Themes are listed by priority (highest first), everything else by last update
+      const sortedData = section === 'themes'
+        ? this.orderThemesForList(data)
+        : data.slice().sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
 
       if (!sortedData.length) {
         const empty = document.createElement('div');
@@ -247,15 +627,108 @@ window.VRCXExtended.Popup = {
         return;
       }
 
-      sortedData.forEach(item => {
-        const card = this.createSimpleCard(item, section);
-        listElement.appendChild(card);
+      if (section === 'themes' && sortedData.length > 1) {
+        const hint = document.createElement('div');
+        hint.className = 'muted theme-order-hint';
+        hint.textContent = 'Themes earlier in their group win where they overlap; tweaks go over add-ons and add-ons over base themes. Drag a theme to change its priority. Only one base theme can be on at a time.';
+        listElement.appendChild(hint);
+      }
+
+      // Themes are grouped by role; headings only appear when there is more than one group
+      const roles = section === 'themes' ? window.opener?.VRCXExtended?.ThemeRoles : null;
+      const groups = roles ? roles.group(sortedData) : [{ role: null, label: null, themes: sortedData }];
+      groups.forEach(group => {
+        if (groups.length > 1) {
+          const heading = document.createElement('div');
+          heading.className = 'list-group-heading';
+          heading.textContent = group.label;
+          listElement.appendChild(heading);
+        }
+        group.themes.forEach(item => {
+          const card = this.createSimpleCard(item, section);
+          if (group.role) card.dataset.role = group.role;
+          listElement.appendChild(card);
+        });
+      });
+
+      if (section === 'themes' && sortedData.length > 1) {
+        this.enableThemeReorder(listElement);
+      }
+    },
+
+    /**
+     * Order themes for the list: the reverse of the injection order, so the theme that wins
+     * the cascade comes first
+     * @param {Array} themes - Stored themes
+     * @returns {Array} Themes, highest priority first
+     */
+    orderThemesForList(themes) {
+      const injection = window.opener?.VRCXExtended?.Injection;
+      return (injection ? injection.orderThemes(themes) : themes.slice()).reverse();
+    },
+
+    /**
+     * Let theme cards be dragged to a new position within their role group; the order is stored
+     * when the drag ends
+     * @param {HTMLElement} listElement - List holding the theme cards
+     */
+    enableThemeReorder(listElement) {
+      const getOrder = () => [...listElement.querySelectorAll('.card[data-id]')].map(card => card.dataset.id);
+      let dragged = null;
+      let before = [];
+
+      listElement.querySelectorAll('.card[data-id]').forEach(card => {
+        card.draggable = true;
+        card.addEventListener('dragstart', (e) => {
+          dragged = card;
+          before = getOrder();
+          card.classList.add('dragging');
+          e.dataTransfer.effectAllowed = 'move';
+          e.dataTransfer.setData('text/plain', card.dataset.id);
+        });
+        card.addEventListener('dragover', (e) => {
+          // Priority only matters within a role group
+          if (!dragged || dragged === card || dragged.dataset.role !== card.dataset.role) return;
+          e.preventDefault();
+          // Cards sit in a grid: the top and bottom quarter mean before and after, in between the horizontal half decides
+          const rect = card.getBoundingClientRect();
+          const after = e.clientY > rect.bottom - rect.height / 4 ||
+            (e.clientY >= rect.top + rect.height / 4 && e.clientX > rect.left + rect.width / 2);
+          listElement.insertBefore(dragged, after ? card.nextSibling : card);
+        });
+        card.addEventListener('drop', (e) => e.preventDefault());
+        card.addEventListener('dragend', () => {
+          card.classList.remove('dragging');
+          dragged = null;
+          const order = getOrder();
+          if (order.join() !== before.join()) {
+            this.saveThemeOrder(order);
+          }
+        });
+      });
+    },
+
+    /**
+     * Store a new theme order and re-inject the themes in it
+     * @param {Array<string>} orderedIds - Theme IDs, highest priority first
+     */
+    saveThemeOrder(orderedIds) {
+      const themes = this.readJSON(KEYS.THEMES, []);
+      themes.forEach(theme => {
+        const position = orderedIds.indexOf(theme.id);
+        if (position !== -1) theme.priority = orderedIds.length - position;
       });
+      this.writeJSON(KEYS.THEMES, themes);
+      if (window.opener?.$app?.refreshVrcxThemes) {
+        window.opener.$app.refreshVrcxThemes();
+      }
+      this.renderCurrentSection();
     },
 
     createSimpleCard(item, section) {
       const card = document.createElement('div');
       card.className = 'card';
+      card.dataset.id = item.id;
       card.style.border = '1px solid var(--surface-2, #3c3836)';
       card.style.borderRadius = '8px';
       card.style.padding = '16px';
@@ -319,6 +792,14 @@ window.VRCXExtended.Popup = {
         if (index !== -1) {
           allItems.splice(index, 1);
           this.writeJSON(storageKey, allItems);
+          if (section === 'plugins') {
+            window.opener?.VRCXExtended?.Config?.clearPluginSettings(item.id);
+            window.opener?.VRCXExtended?.PluginContext?.clearStorage(item.id);
+            window.opener?.VRCXExtended?.PluginErrors?.clear(item.id);
+            window.opener?.VRCXExtended?.NetworkAudit?.setAllowlist(item.id, null);
+          } else {
+            window.opener?.VRCXExtended?.ThemeVariables?.clear(item.id);
+          }
           window.VRCXExtended.Utils.safeConsoleLog('log', '🗑️ [Popup] Item removed from storage, new count:', allItems.length);
           
           // Verify deletion worked
@@ -388,6 +869,120 @@ window.VRCXExtended.Popup = {
         this.openSimpleEditor(item);
       });
 
+      // Options button for plugins that declare @setting entries and themes with :root variables
+      const settingsSchema = section === 'plugins'
+        ? window.opener?.VRCXExtended?.Metadata?.resolve(item).settings || []
+        : [];
+      const themeVariables = section === 'themes'
+        ? window.opener?.VRCXExtended?.ThemeVariables?.parse(item.code) || []
+        : [];
+      let optionsIcon = null;
+      if (settingsSchema.length || themeVariables.length) {
+        optionsIcon = document.createElement('button');
+        optionsIcon.className = 'btn';
+        optionsIcon.innerHTML = '<i class="el-icon-s-operation"></i>';
+        optionsIcon.title = section === 'plugins' ? 'Plugin Settings' : 'Theme Variables';
+        optionsIcon.style.padding = '4px 8px';
+        optionsIcon.style.backgroundColor = '#3a3a3a';
+        optionsIcon.style.borderColor = '#4a4a4a';
+        optionsIcon.style.color = '#ffffff';
+
+        optionsIcon.addEventListener('mouseenter', () => {
+          optionsIcon.style.backgroundColor = '#4a4a4a';
+          optionsIcon.style.borderColor = '#5a5a5a';
+        });
+
+        optionsIcon.addEventListener('mouseleave', () => {
+          optionsIcon.style.backgroundColor = '#3a3a3a';
+          optionsIcon.style.borderColor = '#4a4a4a';
+        });
+
+        optionsIcon.addEventListener('click', () => {
+          if (section === 'plugins') {
+            this.openPluginSettings(item);
+          } else {
+            this.openThemeVariables(item);
+          }
+        });
+      }
+
+      // Coverage report of theme selectors against the live VRCX DOM (manager window themes
+      // do not style that DOM)
+      let coverageIcon = null;
+      if (section === 'themes' && window.opener?.VRCXExtended?.ThemeCoverage &&
+          !window.opener.VRCXExtended.ManagerTheme?.isManagerTheme(item)) {
+        coverageIcon = document.createElement('button');
+        coverageIcon.className = 'btn';
+        coverageIcon.innerHTML = '<i class="el-icon-aim"></i>';
+        coverageIcon.title = 'Selector Coverage';
+        coverageIcon.style.padding = '4px 8px';
+        coverageIcon.style.backgroundColor = '#3a3a3a';
+        coverageIcon.style.borderColor = '#4a4a4a';
+        coverageIcon.style.color = '#ffffff';
+
+        coverageIcon.addEventListener('mouseenter', () => {
+          coverageIcon.style.backgroundColor = '#4a4a4a';
+          coverageIcon.style.borderColor = '#5a5a5a';
+        });
+
+        coverageIcon.addEventListener('mouseleave', () => {
+          coverageIcon.style.backgroundColor = '#3a3a3a';
+          coverageIcon.style.borderColor = '#4a4a4a';
+        });
+
+        coverageIcon.addEventListener('click', () => this.openThemeCoverage(item));
+      }
+
+      // Time of day / color scheme schedule of a theme
+      let scheduleIcon = null;
+      if (section === 'themes' && window.opener?.VRCXExtended?.ThemeSchedule) {
+        scheduleIcon = document.createElement('button');
+        scheduleIcon.className = 'btn';
+        scheduleIcon.innerHTML = '<i class="el-icon-time"></i>';
+        scheduleIcon.title = 'Schedule';
+        scheduleIcon.style.padding = '4px 8px';
+        scheduleIcon.style.backgroundColor = '#3a3a3a';
+        scheduleIcon.style.borderColor = '#4a4a4a';
+        scheduleIcon.style.color = '#ffffff';
+
+        scheduleIcon.addEventListener('mouseenter', () => {
+          scheduleIcon.style.backgroundColor = '#4a4a4a';
+          scheduleIcon.style.borderColor = '#5a5a5a';
+        });
+
+        scheduleIcon.addEventListener('mouseleave', () => {
+          scheduleIcon.style.backgroundColor = '#3a3a3a';
+          scheduleIcon.style.borderColor = '#4a4a4a';
+        });
+
+        scheduleIcon.addEventListener('click', () => this.openThemeSchedule(item));
+      }
+
+      // Generated themes can be rebuilt from their palette
+      let regenerateIcon = null;
+      if (section === 'themes' && window.opener?.VRCXExtended?.ThemeGenerator?.isGenerated(item)) {
+        regenerateIcon = document.createElement('button');
+        regenerateIcon.className = 'btn';
+        regenerateIcon.innerHTML = '<i class="el-icon-magic-stick"></i>';
+        regenerateIcon.title = 'Regenerate from Palette';
+        regenerateIcon.style.padding = '4px 8px';
+        regenerateIcon.style.backgroundColor = '#3a3a3a';
+        regenerateIcon.style.borderColor = '#4a4a4a';
+        regenerateIcon.style.color = '#ffffff';
+
+        regenerateIcon.addEventListener('mouseenter', () => {
+          regenerateIcon.style.backgroundColor = '#4a4a4a';
+          regenerateIcon.style.borderColor = '#5a5a5a';
+        });
+
+        regenerateIcon.addEventListener('mouseleave', () => {
+          regenerateIcon.style.backgroundColor = '#3a3a3a';
+          regenerateIcon.style.borderColor = '#4a4a4a';
+        });
+
+        regenerateIcon.addEventListener('click', () => this.openThemeGenerator(item));
+      }
+
       // Toggle switch (moved to last place)
       const label = document.createElement('label');
       label.className = 'switch';
@@ -413,6 +1008,11 @@ window.VRCXExtended.Popup = {
           allItems[index].enabled = checkbox.checked;
           allItems[index].updatedAt = this.nowIso();
           this.writeJSON(storageKey, allItems);
+
+          // Turning an item on in safe mode loads it right away
+          if (checkbox.checked) {
+            window.opener?.VRCXExtended?.SafeMode?.allow(item.id);
+          }
           
           // Update toggle styling
           slider.style.background = checkbox.checked ? 'var(--accent-1, #ff6b35)' : '#4a4a4a';
@@ -429,16 +1029,39 @@ window.VRCXExtended.Popup = {
           
           if (section === 'plugins' && window.opener?.$app?.refreshVrcxPlugins) {
             window.opener.$app.refreshVrcxPlugins();
+            // Dependents may have been started or skipped along with this plugin
+            this.renderCurrentSection();
           }
           if (section === 'themes' && window.opener?.$app?.refreshVrcxThemes) {
             window.opener.$app.refreshVrcxThemes();
           }
+          window.opener?.VRCXExtended?.Events?.emitSystem(section === 'plugins' ? 'plugin-toggled' : 'theme-toggled', {
+            id: item.id,
+            name: item.name,
+            enabled: checkbox.checked
+          });
+
+          // A base theme replaces the one that was on; show the switched toggles
+          if (section === 'themes' && checkbox.checked) {
+            const switchedOff = window.opener?.VRCXExtended?.ThemeRoles?.afterEnable(item.id, () => this.renderCurrentSection()) || [];
+            if (switchedOff.length) this.renderCurrentSection();
+          }
         }
       });
 
       actions.appendChild(deleteIcon);
+      if (optionsIcon) actions.appendChild(optionsIcon);
+      if (coverageIcon) actions.appendChild(coverageIcon);
+      if (regenerateIcon) actions.appendChild(regenerateIcon);
+      if (scheduleIcon) actions.appendChild(scheduleIcon);
       actions.appendChild(settingsIcon);
       actions.appendChild(label);
+      if (section === 'themes') {
+        const handle = document.createElement('i');
+        handle.className = 'el-icon-rank card-drag-handle';
+        handle.title = 'Drag to change priority';
+        title.prepend(handle);
+      }
       header.appendChild(title);
       header.appendChild(actions);
       
@@ -498,7 +1121,7 @@ window.VRCXExtended.Popup = {
       footer.style.color = 'var(--text-2, #928374)';
       
       const creator = document.createElement('span');
-      creator.textContent = 'by ' + (item.creator || 'Unknown');
+      creator.textContent = 'by ' + (item.creator || 'Unknown') + (item.meta?.version ? ' · v' + item.meta.version : '');
       
       const dates = document.createElement('span');
       const updatedDate = new Date(item.updatedAt || item.createdAt || Date.now()).toLocaleDateString();
@@ -508,6 +1131,46 @@ window.VRCXExtended.Popup = {
       footer.appendChild(dates);
       
       contentContainer.appendChild(header);
+
+      // Plugins skipped at injection because of their dependencies
+      const skippedEntry = section === 'plugins' && item.enabled
+        ? this.getDependencyReport().skipped.find(entry => entry.id === item.id)
+        : null;
+      if (skippedEntry) {
+        const badge = document.createElement('div');
+        badge.className = 'card-badge warning';
+        badge.textContent = 'Not loaded: ' + skippedEntry.reason;
+        contentContainer.appendChild(badge);
+      }
+
+      // Plugins held back by @run-at / @match
+      const waitingEntry = section === 'plugins' && item.enabled
+        ? (this.getDependencyReport().waiting || []).find(entry => entry.id === item.id)
+        : null;
+      if (waitingEntry) {
+        const badge = document.createElement('div');
+        badge.className = 'card-badge info';
+        badge.textContent = 'Inactive: ' + waitingEntry.reason;
+        contentContainer.appendChild(badge);
+      }
+
+      // Themes that are only injected at certain times or in one color scheme
+      const themeSchedule = window.opener?.VRCXExtended?.ThemeSchedule;
+      const scheduleText = section === 'themes' && themeSchedule ? themeSchedule.describe(item.schedule) : '';
+      if (scheduleText) {
+        const badge = document.createElement('div');
+        badge.className = 'card-badge info';
+        badge.textContent = 'Scheduled: ' + scheduleText +
+          (item.enabled ? (themeSchedule.isActive(item) ? ' (on now)' : ' (off now)') : '');
+        contentContainer.appendChild(badge);
+      }
+
+      // Errors attributed to this plugin (see PluginErrors)
+      const errorEntry = section === 'plugins' ? window.opener?.VRCXExtended?.PluginErrors?.get(item.id) : null;
+      if (errorEntry && errorEntry.lastError) {
+        contentContainer.appendChild(this.createErrorBadge(item, errorEntry));
+      }
+
       contentContainer.appendChild(imageDescriptionContainer);
       contentContainer.appendChild(footer);
       
@@ -536,6 +1199,64 @@ window.VRCXExtended.Popup = {
       return card;
     },
 
+    createErrorBadge(item, errorEntry) {
+      const lastError = errorEntry.lastError;
+      const badge = document.createElement('div');
+      badge.className = 'card-badge error';
+      badge.style.cursor = 'pointer';
+      badge.title = 'Click to show the last stack trace';
+
+      const summary = document.createElement('div');
+      summary.style.display = 'flex';
+      summary.style.alignItems = 'center';
+      summary.style.gap = '8px';
+
+      const text = document.createElement('span');
+      text.textContent = !item.enabled && errorEntry.autoDisabled
+        ? 'Disabled automatically. ' + errorEntry.autoDisabled.reason
+        : errorEntry.count + (errorEntry.count === 1 ? ' error' : ' errors') + ', last in ' + lastError.phase +
+          (lastError.line ? ' at line ' + lastError.line : '') + ': ' + lastError.message;
+
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'btn ghost';
+      clearBtn.textContent = 'Clear';
+      clearBtn.style.padding = '0 6px';
+      clearBtn.style.fontSize = '11px';
+      clearBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        window.opener?.VRCXExtended?.PluginErrors?.clear(item.id);
+        this.renderCurrentSection();
+      });
+
+      const stack = document.createElement('pre');
+      stack.className = 'card-badge-stack';
+      stack.textContent = lastError.stack || lastError.message;
+      stack.style.display = 'none';
+
+      badge.addEventListener('click', (e) => {
+        e.stopPropagation();
+        stack.style.display = stack.style.display === 'none' ? 'block' : 'none';
+      });
+
+      summary.appendChild(text);
+      if (lastError.line) {
+        const lineBtn = document.createElement('button');
+        lineBtn.className = 'btn ghost';
+        lineBtn.textContent = 'Show line ' + lastError.line;
+        lineBtn.style.padding = '0 6px';
+        lineBtn.style.fontSize = '11px';
+        lineBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.openSimpleEditor(item, { line: lastError.line });
+        });
+        summary.appendChild(lineBtn);
+      }
+      summary.appendChild(clearBtn);
+      badge.appendChild(summary);
+      badge.appendChild(stack);
+      return badge;
+    },
+
     renderStore() {
       const list = document.getElementById('list');
       list.innerHTML = '';
@@ -792,6 +1513,42 @@ window.VRCXExtended.Popup = {
       });
       
       header.appendChild(title);
+
+      // Themes can be tried on VRCX before installing them
+      if (type === 'theme') {
+        const previewBtn = document.createElement('button');
+        previewBtn.className = 'btn';
+        previewBtn.style.marginLeft = 'auto';
+        previewBtn.style.marginRight = '12px';
+        previewBtn.style.fontSize = '11px';
+        previewBtn.style.padding = '4px 8px';
+        this.setPreviewButton(previewBtn, !!window.opener?.VRCXExtended?.ThemePreview?.isActive(item.name));
+        previewBtn.addEventListener('click', () => this.togglePreview(item, previewBtn));
+        header.appendChild(previewBtn);
+      }
+      
+      // Offer an update when the store has a newer version than the installed one
+      const installed = installedItems.find(installed => 
+        installed.name === item.name && installed.creator === item.creator
+      );
+      if (installed && this.hasStoreUpdate(item, installed)) {
+        const updateBtn = document.createElement('button');
+        updateBtn.className = 'btn';
+        updateBtn.style.marginLeft = type === 'theme' ? '0' : 'auto';
+        updateBtn.style.marginRight = '12px';
+        updateBtn.style.fontSize = '11px';
+        updateBtn.style.padding = '4px 8px';
+        updateBtn.innerHTML = '<i class="el-icon-download"></i> Update';
+        updateBtn.addEventListener('click', async () => {
+          updateBtn.disabled = true;
+          if (await this.updateStoreItem(item, type)) {
+            updateBtn.remove();
+          } else {
+            updateBtn.disabled = false;
+          }
+        });
+        header.appendChild(updateBtn);
+      }
       header.appendChild(label);
       
       // 2. Image - Description (Side by side)
@@ -904,6 +1661,18 @@ window.VRCXExtended.Popup = {
           // Fetch the actual file content
           const fileContent = await this.fetchStoreFile(item, type);
           
+          // Plugins run with full access to VRCX, so the user reviews what they declare first.
+          // Broken theme CSS silently drops the rules after the error, so it is linted before install
+          const rejected = type === 'plugin'
+            ? !(await this.reviewPlugin(item.name, fileContent))
+            : !this.confirmThemeLint(item.name, fileContent, 'install');
+          if (rejected) {
+            checkbox.checked = false;
+            checkbox.nextElementSibling.style.background = '#4a4a4a';
+            checkbox.nextElementSibling.style.borderColor = '#4a4a4a';
+            return;
+          }
+          
           // Create new item from store data with actual file content
           const newItem = {
             id: this.uid(),
@@ -912,11 +1681,25 @@ window.VRCXExtended.Popup = {
             creator: item.creator,
             thumbnail: item.thumbnail,
             code: fileContent,
+            role: item.role,
             enabled: true,
+            storeUpdated: item.dateUpdated,
             createdAt: this.nowIso(),
             updatedAt: this.nowIso()
           };
           
+          // Store index fields win (they identify the installed item); the header fills the rest
+          this.applyHeaderMeta(newItem);
+          const header = window.opener?.VRCXExtended?.Metadata?.parseHeader(fileContent);
+          if (header) {
+            newItem.description = newItem.description || header.fields.description || '';
+            newItem.creator = newItem.creator || header.fields.creator || '';
+            const mismatches = window.opener.VRCXExtended.Metadata.compareWithItem(header, newItem);
+            if (mismatches.length) {
+              window.VRCXExtended.Utils.safeConsoleLog('warn', '⚠️ [Popup] Store index and header disagree for', item.name, mismatches);
+            }
+          }
+          
           installedItems.push(newItem);
           this.writeJSON(storageKey, installedItems);
           
@@ -934,6 +1717,10 @@ window.VRCXExtended.Popup = {
           if (type === 'theme' && window.opener?.$app?.refreshVrcxThemes) {
             window.opener.$app.refreshVrcxThemes();
           }
+          window.opener?.VRCXExtended?.Events?.emitSystem('item-installed', { type, id: newItem.id, name: newItem.name });
+          if (type === 'theme') {
+            window.opener?.VRCXExtended?.ThemeRoles?.afterEnable(newItem.id);
+          }
         } catch (error) {
           // Fallback to default code if file fetch fails
           window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] File fetch failed, using fallback:', error);
@@ -945,10 +1732,13 @@ window.VRCXExtended.Popup = {
             creator: item.creator,
             thumbnail: item.thumbnail,
             code: this.getDefaultCode(type, item),
+            role: item.role,
             enabled: true,
+            storeUpdated: item.dateUpdated,
             createdAt: this.nowIso(),
             updatedAt: this.nowIso()
           };
+          this.applyHeaderMeta(newItem);
           
           installedItems.push(newItem);
           this.writeJSON(storageKey, installedItems);
@@ -959,6 +1749,10 @@ window.VRCXExtended.Popup = {
           if (window.opener?.VRCXExtended?.Utils?.showNotification) {
             window.opener.VRCXExtended.Utils.showNotification(message, 'warning');
           }
+          window.opener?.VRCXExtended?.Events?.emitSystem('item-installed', { type, id: newItem.id, name: newItem.name });
+          if (type === 'theme') {
+            window.opener?.VRCXExtended?.ThemeRoles?.afterEnable(newItem.id);
+          }
         }
       } else {
         // Already installed, just update the toggle state
@@ -968,59 +1762,463 @@ window.VRCXExtended.Popup = {
       }
     },
 
-    async fetchStoreFile(item, type) {
-      // Get the base URL from the main window's config
-      const config = window.opener?.VRCXExtended?.Config;
-      if (!config) {
-        throw new Error('Config not available');
+    /**
+     * Check whether the store has a newer version of an installed item
+     * @param {Object} item - Store index entry
+     * @param {Object} installed - Installed record
+     * @returns {boolean} True when an update is available
+     */
+    hasStoreUpdate(item, installed) {
+      // Items installed before storeUpdated was recorded compare against their install date
+      const installedDate = installed.storeUpdated || installed.createdAt;
+      return !!item.dateUpdated && !!installedDate && new Date(item.dateUpdated) > new Date(installedDate);
+    },
+
+    /**
+     * Replace an installed item's code with the store version, keeping its ID, state and settings
+     * @param {Object} item - Store index entry
+     * @param {string} type - 'plugin' or 'theme'
+     * @returns {Promise<boolean>} True when the item was updated
+     */
+    async updateStoreItem(item, type) {
+      const storageKey = type === 'plugin' ? KEYS.PLUGINS : KEYS.THEMES;
+      let fileContent;
+      try {
+        fileContent = await this.fetchStoreFile(item, type);
+      } catch (error) {
+        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] Update fetch failed:', error);
+        window.opener?.VRCXExtended?.Utils?.showNotification('Could not download the update for <strong>' + window.opener.VRCXExtended.Utils.escapeHtml(item.name) + '</strong>', 'error');
+        return false;
       }
-      
-      const settings = config.getSettings();
-      const isDebugMode = settings.debugMode || false;
-      
-      // Determine the base URL using config
-      let baseUrl;
-      if (isDebugMode) {
-        // For debug mode, use local paths from config
-        baseUrl = config.STORE.LOCAL[type === 'plugin' ? 'PLUGINS' : 'THEMES'].replace('/' + type + 's.json', '');
-        window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Debug mode enabled, using local path:', baseUrl);
-      } else {
-        // Use GitHub URL from config
-        baseUrl = config.STORE.GITHUB.BASE_URL + '/store/' + type + 's';
-        window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Using GitHub URL:', baseUrl);
+
+      // Re-read after the download so changes made meanwhile are kept
+      const installedItems = this.readJSON(storageKey, []);
+      const installed = installedItems.find(x => x.name === item.name && x.creator === item.creator);
+      if (!installed) return false;
+
+      // Only ask again when the update wants new capabilities or adds high risk code
+      const permissions = window.opener?.VRCXExtended?.Permissions;
+      if (type === 'plugin' && permissions) {
+        const previous = permissions.getGrants(installed);
+        const diff = permissions.diff(previous, permissions.getGrants(fileContent));
+        const newRisks = window.opener.VRCXExtended.RiskScan?.getNewHighRisks(installed.code, fileContent) || [];
+        if ((diff.added.length || newRisks.length) && !(await this.reviewPlugin(item.name, fileContent, previous))) {
+          return false;
+        }
       }
-      
-      // Use the filename which now includes the folder path
-      const fileUrl = baseUrl + '/' + item.filename;
-      
-      // Debug logging
-      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Fetching file:', fileUrl);
-      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Debug mode:', isDebugMode);
-      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Item filename:', item.filename);
-      
-      const response = await fetch(fileUrl);
-      if (!response.ok) {
-        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] HTTP Error:', response.status, response.statusText);
-        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] Failed URL:', fileUrl);
-        throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+      if (type === 'theme' && !this.confirmThemeLint(item.name, fileContent, 'update')) {
+        return false;
       }
-      
-      const content = await response.text();
-      window.VRCXExtended.Utils.safeConsoleLog('log', '✅ [Popup] Successfully fetched file, length:', content.length);
-      return content;
+
+      installed.code = fileContent;
+      if (item.role) installed.role = item.role;
+      installed.storeUpdated = item.dateUpdated;
+      installed.updatedAt = this.nowIso();
+      this.applyHeaderMeta(installed);
+      this.writeJSON(storageKey, installedItems);
+
+      window.opener?.VRCXExtended?.Utils?.showNotification((type === 'plugin' ? 'Plugin' : 'Theme') + ' <strong>' + window.opener.VRCXExtended.Utils.escapeHtml(item.name) + '</strong> updated', 'success');
+      if (type === 'plugin' && window.opener?.$app?.refreshVrcxPlugins) {
+        window.opener.$app.refreshVrcxPlugins();
+      }
+      if (type === 'theme' && window.opener?.$app?.refreshVrcxThemes) {
+        window.opener.$app.refreshVrcxThemes();
+      }
+      window.opener?.VRCXExtended?.Events?.emitSystem('item-updated', { type, id: installed.id, name: installed.name });
+      return true;
     },
 
-    uninstallStoreItem(item, type, checkbox) {
-      const storageKey = type === 'plugin' ? KEYS.PLUGINS : KEYS.THEMES;
-      const installedItems = this.readJSON(storageKey, []);
-      
+    /**
+     * Import a ==UserScript== file as a plugin. Re-importing a script with the same name and
+     * author replaces the code of the existing plugin, keeping its ID, state and settings.
+     * @param {File} file - Selected userscript file
+     * @returns {Promise<boolean>} True when the script was imported
+     */
+    async importUserScript(file) {
+      const opener = window.opener?.VRCXExtended;
+      if (!file || !opener?.UserScript) return false;
+
+      let converted;
+      try {
+        converted = opener.UserScript.toPlugin(await file.text());
+      } catch (error) {
+        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] Userscript import failed:', error);
+        opener.Utils.showNotification('Could not import <strong>' + opener.Utils.escapeHtml(file.name) + '</strong>: ' + opener.Utils.escapeHtml(error.message), 'error');
+        return false;
+      }
+
+      const { item, warnings } = converted;
+      const plugins = this.readJSON(KEYS.PLUGINS, []);
+      const existing = plugins.find(x => x.name === item.name && x.creator === item.creator);
+      const previous = existing && opener.Permissions ? opener.Permissions.getGrants(existing) : null;
+      if (!(await this.reviewPlugin(item.name, item.code, previous))) return false;
+
+      // Re-read after the review so changes made meanwhile are kept
+      const current = this.readJSON(KEYS.PLUGINS, []);
+      let plugin = current.find(x => x.name === item.name && x.creator === item.creator);
+      if (plugin) {
+        Object.assign(plugin, item, { updatedAt: this.nowIso() });
+      } else {
+        plugin = {
+          id: this.uid(),
+          ...item,
+          enabled: true,
+          createdAt: this.nowIso(),
+          updatedAt: this.nowIso()
+        };
+        current.push(plugin);
+      }
+      this.writeJSON(KEYS.PLUGINS, current);
+
+      const notes = warnings.length ? '<br>' + warnings.join('<br>') : '';
+      opener.Utils.showNotification('Userscript <strong>' + opener.Utils.escapeHtml(plugin.name) + '</strong> ' + (existing ? 'updated' : 'imported') + notes, warnings.length ? 'warning' : 'success');
+      if (window.opener?.$app?.refreshVrcxPlugins) {
+        window.opener.$app.refreshVrcxPlugins();
+      }
+      opener.Events?.emitSystem(existing ? 'item-updated' : 'item-installed', { type: 'plugin', id: plugin.id, name: plugin.name });
+      this.renderCurrentSection();
+      return true;
+    },
+
+    /**
+     * Ask the user to confirm a plugin before it is installed: the capabilities it declares
+     * with @grant and what the risk scan found in its code
+     * @param {string} name - Plugin name
+     * @param {string} code - Code that is about to be installed
+     * @param {Array<string>} previous - Grants of the installed version when updating, null when installing
+     * @returns {Promise<boolean>} True when the user accepts
+     */
+    reviewPlugin(name, code, previous = null) {
+      const permissions = window.opener?.VRCXExtended?.Permissions;
+      const riskScan = window.opener?.VRCXExtended?.RiskScan;
+      if (!permissions) return Promise.resolve(true);
+
+      const grants = permissions.getGrants(code);
+      const diff = permissions.diff(previous || [], grants);
+      const isUpdate = previous !== null;
+
+      return new Promise(resolve => {
+        const root = document.getElementById('modalRoot');
+        root.style.display = 'block';
+        root.innerHTML = '';
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.style.width = 'min(520px, 90vw)';
+        modal.style.height = 'auto';
+        modal.style.maxHeight = '85vh';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('strong');
+        title.textContent = (isUpdate ? 'Update ' : 'Install ') + name + '?';
+        header.appendChild(title);
+
+        const body = document.createElement('div');
+        body.className = 'modal-body grant-review';
+        body.style.overflow = 'auto';
+
+        const intro = document.createElement('p');
+        intro.className = 'muted';
+        intro.textContent = isUpdate
+          ? 'This update asks for more than the installed version or adds risky code. Plugins run with full access to VRCX, including your VRChat session.'
+          : 'Plugins run with full access to VRCX, including your VRChat session. Only install plugins you trust.';
+        body.appendChild(intro);
+
+        if (!grants.length) {
+          const undeclared = document.createElement('div');
+          undeclared.className = 'card-badge';
+          undeclared.textContent = 'This plugin does not declare what it uses (@grant).';
+          body.appendChild(undeclared);
+        }
+
+        const list = document.createElement('div');
+        list.className = 'grant-list';
+        const addRow = (grant, change) => {
+          const info = permissions.describe(grant);
+          const row = document.createElement('div');
+          row.className = 'grant-item' + (change ? ' ' + change : '') + (info.sensitive ? ' sensitive' : '');
+
+          const label = document.createElement('strong');
+          label.textContent = info.label;
+          const description = document.createElement('span');
+          description.className = 'muted';
+          description.textContent = info.description;
+          row.appendChild(label);
+          row.appendChild(description);
+
+          if (change) {
+            const tag = document.createElement('span');
+            tag.className = 'grant-tag';
+            tag.textContent = change === 'added' ? 'New' : 'No longer used';
+            row.appendChild(tag);
+          }
+          list.appendChild(row);
+        };
+        diff.added.forEach(grant => addRow(grant, isUpdate ? 'added' : null));
+        diff.kept.forEach(grant => addRow(grant, null));
+        diff.removed.forEach(grant => addRow(grant, 'removed'));
+        body.appendChild(list);
+
+        if (riskScan) {
+          body.appendChild(this.createRiskReport(riskScan.scan(code)));
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn ghost';
+        cancelBtn.textContent = 'Cancel';
+        const acceptBtn = document.createElement('button');
+        acceptBtn.className = 'btn primary';
+        acceptBtn.textContent = isUpdate ? 'Update' : 'Install';
+        footer.appendChild(cancelBtn);
+        footer.appendChild(acceptBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        backdrop.appendChild(modal);
+        root.appendChild(backdrop);
+
+        const finish = (accepted) => {
+          root.style.display = 'none';
+          root.innerHTML = '';
+          resolve(accepted);
+        };
+        cancelBtn.addEventListener('click', () => finish(false));
+        acceptBtn.addEventListener('click', () => finish(true));
+        backdrop.addEventListener('click', (e) => {
+          if (e.target === backdrop) finish(false);
+        });
+        modal.addEventListener('keydown', (e) => {
+          if (e.key === 'Escape') finish(false);
+        });
+        acceptBtn.focus();
+      });
+    },
+
+    /**
+     * Render the findings of a risk scan
+     * @param {Object} scan - Result of RiskScan.scan()
+     * @param {Function} onLine - Optional, called with a line number when a finding is clicked
+     * @returns {HTMLElement} Report element
+     */
+    createRiskReport(scan, onLine = null) {
+      const report = document.createElement('div');
+      report.className = 'risk-report' + (scan.highest ? ' ' + scan.highest : '');
+
+      const summary = document.createElement('div');
+      summary.className = 'risk-summary';
+      if (!scan.findings.length) {
+        summary.textContent = 'Code scan: nothing risky found';
+        report.appendChild(summary);
+        return report;
+      }
+      summary.textContent = 'Code scan: ' + ['high', 'medium', 'low']
+        .filter(severity => scan.counts[severity])
+        .map(severity => scan.counts[severity] + ' ' + severity)
+        .join(', ');
+      report.appendChild(summary);
+
+      scan.findings.forEach(finding => {
+        const row = document.createElement('div');
+        row.className = 'risk-finding ' + finding.severity;
+        row.title = finding.excerpt;
+
+        const severity = document.createElement('span');
+        severity.className = 'risk-severity';
+        severity.textContent = finding.severity;
+
+        const text = document.createElement('span');
+        text.textContent = finding.title + (finding.detail ? ': ' + finding.detail : '');
+
+        const line = document.createElement(onLine ? 'button' : 'span');
+        line.className = onLine ? 'btn ghost risk-line' : 'muted risk-line';
+        line.textContent = 'line ' + finding.line;
+        if (onLine) {
+          line.addEventListener('click', () => onLine(finding.line, finding.column));
+        }
+
+        row.appendChild(severity);
+        row.appendChild(text);
+        row.appendChild(line);
+        report.appendChild(row);
+      });
+      return report;
+    },
+
+    /**
+     * Render the findings of a CSS lint
+     * @param {Object} result - Result of CssLint.lint()
+     * @param {Function} onLine - Optional, called with a line and column when a finding is clicked
+     * @returns {HTMLElement} Report element
+     */
+    createLintReport(result, onLine = null) {
+      const report = document.createElement('div');
+      report.className = 'risk-report' + (result.highest ? ' ' + result.highest : '');
+
+      const summary = document.createElement('div');
+      summary.className = 'risk-summary';
+      summary.textContent = result.findings.length
+        ? 'CSS check: ' + ['error', 'warning']
+          .filter(severity => result.counts[severity])
+          .map(severity => result.counts[severity] + ' ' + severity + (result.counts[severity] === 1 ? '' : 's'))
+          .join(', ')
+        : 'CSS check: no problems found';
+      report.appendChild(summary);
+
+      result.findings.forEach(finding => {
+        const row = document.createElement('div');
+        row.className = 'risk-finding ' + finding.severity;
+
+        const severity = document.createElement('span');
+        severity.className = 'risk-severity';
+        severity.textContent = finding.severity;
+
+        const text = document.createElement('span');
+        text.textContent = finding.title + (finding.detail ? ': ' + finding.detail : '');
+
+        const line = document.createElement(onLine ? 'button' : 'span');
+        line.className = onLine ? 'btn ghost risk-line' : 'muted risk-line';
+        line.textContent = finding.line + ':' + finding.column;
+        if (onLine) {
+          line.addEventListener('click', () => onLine(finding.line, finding.column));
+        }
+
+        row.appendChild(severity);
+        row.appendChild(text);
+        row.appendChild(line);
+        report.appendChild(row);
+      });
+      return report;
+    },
+
+    /**
+     * Check theme CSS for syntax errors before it is stored. Depending on the cssLint setting
+     * the user is asked to go on anyway ('warn') or the theme is refused ('block').
+     * @param {string} name - Theme name
+     * @param {string} code - Theme CSS
+     * @param {string} action - What is about to happen: 'save', 'install' or 'update'
+     * @returns {boolean} True when the theme may be stored
+     */
+    confirmThemeLint(name, code, action) {
+      const cssLint = window.opener?.VRCXExtended?.CssLint;
+      const mode = window.opener?.VRCXExtended?.Config?.getSetting('cssLint') || 'warn';
+      if (!cssLint || mode === 'off') return true;
+
+      const errors = cssLint.lint(code).findings.filter(finding => finding.severity === 'error');
+      if (!errors.length) return true;
+
+      const summary = errors.slice(0, 8).map(finding =>
+        '- line ' + finding.line + ', column ' + finding.column + ': ' + finding.title + (finding.detail ? ' (' + finding.detail + ')' : '')
+      ).join('\\n') + (errors.length > 8 ? '\\n- and ' + (errors.length - 8) + ' more' : '');
+
+      if (mode === 'block') {
+        window.opener?.VRCXExtended?.Utils?.showNotification(
+          'Did not ' + action + ' <strong>' + window.opener.VRCXExtended.Utils.escapeHtml(name) + '</strong>: its CSS has ' + errors.length + ' syntax error' + (errors.length === 1 ? '' : 's') + ' (first on line ' + errors[0].line + ')',
+          'error'
+        );
+        return false;
+      }
+      const verb = action.charAt(0).toUpperCase() + action.slice(1);
+      return confirm('The CSS of "' + name + '" has syntax errors. Rules after them will not apply:\\n\\n' + summary + '\\n\\n' + verb + ' this theme anyway?');
+    },
+
+    async fetchStoreFile(item, type) {
+      // Get the base URL from the main window's config
+      const config = window.opener?.VRCXExtended?.Config;
+      if (!config) {
+        throw new Error('Config not available');
+      }
+      
+      const settings = config.getSettings();
+      const isDebugMode = settings.debugMode || false;
+      
+      // Determine the base URL using config
+      let baseUrl;
+      if (isDebugMode) {
+        // For debug mode, use local paths from config
+        baseUrl = config.STORE.LOCAL[type === 'plugin' ? 'PLUGINS' : 'THEMES'].replace('/' + type + 's.json', '');
+        window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Debug mode enabled, using local path:', baseUrl);
+      } else {
+        // Use GitHub URL from config
+        baseUrl = config.STORE.GITHUB.BASE_URL + '/store/' + type + 's';
+        window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Using GitHub URL:', baseUrl);
+      }
+      
+      // Use the filename which now includes the folder path
+      const fileUrl = baseUrl + '/' + item.filename;
+      
+      // Debug logging
+      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Fetching file:', fileUrl);
+      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Debug mode:', isDebugMode);
+      window.VRCXExtended.Utils.safeConsoleLog('log', '🔍 [Popup] Item filename:', item.filename);
+      
+      const response = await fetch(fileUrl);
+      if (!response.ok) {
+        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] HTTP Error:', response.status, response.statusText);
+        window.VRCXExtended.Utils.safeConsoleLog('error', '❌ [Popup] Failed URL:', fileUrl);
+        throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+      }
+      
+      const content = await response.text();
+      window.VRCXExtended.Utils.safeConsoleLog('log', '✅ [Popup] Successfully fetched file, length:', content.length);
+      return content;
+    },
+
+    /**
+     * Start or end the preview of a store theme in the main window
+     * @param {Object} item - Store theme
+     * @param {HTMLButtonElement} button - Button that shows the preview state
+     */
+    async togglePreview(item, button) {
+      const preview = window.opener?.VRCXExtended?.ThemePreview;
+      if (!preview) return;
+      if (preview.isActive(item.name)) {
+        preview.stop();
+        return;
+      }
+
+      button.disabled = true;
+      try {
+        const css = await this.fetchStoreFile(item, 'theme');
+        preview.start(item.name, css, {
+          replace: this.previewReplace,
+          onEnd: () => this.setPreviewButton(button, false)
+        });
+        this.setPreviewButton(button, true);
+      } catch (error) {
+        window.VRCXExtended.Utils.safeConsoleLog('error', 'Failed to preview theme:', error);
+        window.opener?.VRCXExtended?.Utils?.showNotification('Failed to load "' + window.opener.VRCXExtended.Utils.escapeHtml(item.name) + '" for preview', 'error');
+      } finally {
+        button.disabled = false;
+      }
+    },
+
+    /**
+     * Update a preview button's label
+     * @param {HTMLButtonElement} button - Preview button
+     * @param {boolean} active - Whether its theme is being previewed
+     */
+    setPreviewButton(button, active) {
+      button.innerHTML = active ? '<i class="el-icon-close"></i> End preview' : '<i class="el-icon-view"></i> Preview';
+    },
+
+    uninstallStoreItem(item, type, checkbox) {
+      const storageKey = type === 'plugin' ? KEYS.PLUGINS : KEYS.THEMES;
+      const installedItems = this.readJSON(storageKey, []);
+      
       // Find and remove the item
       const index = installedItems.findIndex(installed => 
         installed.name === item.name && installed.creator === item.creator
       );
       
       if (index !== -1) {
-        installedItems.splice(index, 1);
+        const [removed] = installedItems.splice(index, 1);
         this.writeJSON(storageKey, installedItems);
         
         const itemType = type === 'plugin' ? 'Plugin' : 'Theme';
@@ -1037,6 +2235,7 @@ window.VRCXExtended.Popup = {
         if (type === 'theme' && window.opener?.$app?.refreshVrcxThemes) {
           window.opener.$app.refreshVrcxThemes();
         }
+        window.opener?.VRCXExtended?.Events?.emitSystem('item-uninstalled', { type, id: removed.id, name: removed.name });
       } else {
         // Not installed, reset the toggle state
         checkbox.checked = false;
@@ -1045,6 +2244,70 @@ window.VRCXExtended.Popup = {
       }
     },
 
+    /**
+     * Refresh the structured metadata (version, requires, ...) stored on a record from its header
+     * @param {Object} record - Plugin or theme record (modified in place)
+     * @returns {Object} The same record
+     */
+    applyHeaderMeta(record) {
+      const metadata = window.opener?.VRCXExtended?.Metadata;
+      if (metadata) {
+        metadata.applyHeader(record);
+      }
+      return record;
+    },
+
+    /**
+     * Auto-fill name/description/creator inputs from the code header and flag disagreements
+     * @param {string} code - Current editor content
+     * @param {Object} inputs - { name, description, creator } input elements
+     * @param {HTMLElement} notice - Element that lists mismatches
+     * @param {Object} autofilled - Values filled in previously, keyed by field
+     */
+    syncHeaderFields(code, inputs, notice, autofilled) {
+      const metadata = window.opener?.VRCXExtended?.Metadata;
+      if (!metadata) return;
+
+      const header = metadata.parseHeader(code);
+      notice.innerHTML = '';
+      notice.style.display = 'none';
+      if (!header) return;
+
+      // Only fill inputs the user has not typed into themselves
+      Object.keys(inputs).forEach(key => {
+        const value = header.fields[key];
+        const input = inputs[key];
+        if (value && (!input.value.trim() || input.value === autofilled[key])) {
+          input.value = value;
+          autofilled[key] = value;
+        }
+      });
+
+      const current = {};
+      Object.keys(inputs).forEach(key => { current[key] = inputs[key].value.trim(); });
+      const mismatches = metadata.compareWithItem(header, current);
+      if (!mismatches.length) return;
+
+      const text = document.createElement('div');
+      text.textContent = '⚠️ Header differs from fields: ' + mismatches.map(m => '@' + m.field + ' "' + m.header + '"').join(', ');
+
+      const useHeaderBtn = document.createElement('button');
+      useHeaderBtn.className = 'btn';
+      useHeaderBtn.textContent = 'Use header values';
+      useHeaderBtn.addEventListener('click', () => {
+        mismatches.forEach(m => {
+          inputs[m.field].value = m.header;
+          autofilled[m.field] = m.header;
+          inputs[m.field].dispatchEvent(new Event('input'));
+        });
+        this.syncHeaderFields(code, inputs, notice, autofilled);
+      });
+
+      notice.appendChild(text);
+      notice.appendChild(useHeaderBtn);
+      notice.style.display = 'flex';
+    },
+
     getDefaultCode(type, item) {
       if (type === 'plugin') {
         return '//\\n' +
@@ -1054,6 +2317,7 @@ window.VRCXExtended.Popup = {
                '// @creator      ' + item.creator + '\\n' +
                '// @dateCreated  ' + item.dateCreated + '\\n' +
                '// @dateUpdated  ' + item.dateUpdated + '\\n' +
+               '// @version      1.0.0\\n' +
                '// ==PLUGIN==\\n' +
                '//\\n' +
                '\\n' +
@@ -1370,13 +2634,108 @@ window.VRCXExtended.Popup = {
       storageCard.appendChild(storageTitle);
       storageCard.appendChild(storageContent);
       
+      // Theme Checks Card
+      const lintCard = document.createElement('div');
+      lintCard.className = 'card';
+      lintCard.style.marginBottom = '12px';
+
+      const lintTitle = document.createElement('div');
+      lintTitle.className = 'card-title';
+      lintTitle.innerHTML = '<h3 style="margin: 0; font-size: 14px; color: var(--text-2, hsl(38, 47%, 80%));">Theme Checks</h3>';
+
+      const lintContent = document.createElement('div');
+      lintContent.style.display = 'flex';
+      lintContent.style.flexDirection = 'column';
+      lintContent.style.gap = '8px';
+
+      const lintLabel = document.createElement('label');
+      lintLabel.htmlFor = 'cssLintSelect';
+      lintLabel.style.fontSize = '12px';
+      lintLabel.textContent = 'When a theme has CSS syntax errors on save, install or update';
+
+      const lintSelect = document.createElement('select');
+      lintSelect.id = 'cssLintSelect';
+      lintSelect.style.alignSelf = 'flex-start';
+      [['warn', 'Ask before going on'], ['block', 'Refuse it'], ['off', 'Do not check']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        lintSelect.appendChild(option);
+      });
+      lintSelect.value = currentSettings.cssLint || 'warn';
+      lintSelect.addEventListener('change', () => {
+        window.opener?.VRCXExtended?.Config?.setSetting('cssLint', lintSelect.value);
+      });
+
+      const lintInfo = document.createElement('div');
+      lintInfo.className = 'muted';
+      lintInfo.style.fontSize = '11px';
+      lintInfo.textContent = 'An unbalanced brace or a missing semicolon makes the browser drop the rules after it. The theme editor always shows errors and warnings next to the line numbers.';
+
+      lintContent.appendChild(lintLabel);
+      lintContent.appendChild(lintSelect);
+      lintContent.appendChild(lintInfo);
+      lintCard.appendChild(lintTitle);
+      lintCard.appendChild(lintContent);
+
+      // Manager Window Card
+      const managerCard = document.createElement('div');
+      managerCard.className = 'card';
+      managerCard.style.marginBottom = '12px';
+
+      const managerTitle = document.createElement('div');
+      managerTitle.className = 'card-title';
+      managerTitle.innerHTML = '<h3 style="margin: 0; font-size: 14px; color: var(--text-2, hsl(38, 47%, 80%));">Manager Window</h3>';
+
+      const managerContent = document.createElement('div');
+      managerContent.style.display = 'flex';
+      managerContent.style.flexDirection = 'column';
+      managerContent.style.gap = '8px';
+
+      const managerToggleContainer = document.createElement('div');
+      managerToggleContainer.style.display = 'flex';
+      managerToggleContainer.style.alignItems = 'center';
+      managerToggleContainer.style.gap = '8px';
+
+      const managerCheckbox = document.createElement('input');
+      managerCheckbox.type = 'checkbox';
+      managerCheckbox.id = 'themeManagerWindowCheckbox';
+      managerCheckbox.style.transform = 'scale(1.1)';
+      managerCheckbox.checked = currentSettings.themeManagerWindow !== false;
+
+      const managerLabel = document.createElement('label');
+      managerLabel.htmlFor = 'themeManagerWindowCheckbox';
+      managerLabel.style.cursor = 'pointer';
+      managerLabel.style.userSelect = 'none';
+      managerLabel.style.fontSize = '12px';
+      managerLabel.textContent = 'Apply my themes to this window';
+
+      managerCheckbox.addEventListener('change', () => {
+        window.opener?.VRCXExtended?.Config?.setSetting('themeManagerWindow', managerCheckbox.checked);
+        window.opener?.VRCXExtended?.ManagerTheme?.apply();
+      });
+
+      const managerInfo = document.createElement('div');
+      managerInfo.className = 'muted';
+      managerInfo.style.fontSize = '11px';
+      managerInfo.textContent = 'Uses the colors your enabled themes set on VRCX. Themes with @role popup in their header style this window only and are never applied to VRCX.';
+
+      managerToggleContainer.appendChild(managerCheckbox);
+      managerToggleContainer.appendChild(managerLabel);
+      managerContent.appendChild(managerToggleContainer);
+      managerContent.appendChild(managerInfo);
+      managerCard.appendChild(managerTitle);
+      managerCard.appendChild(managerContent);
+
       settingsContainer.appendChild(cacheCard);
       settingsContainer.appendChild(debugCard);
+      settingsContainer.appendChild(lintCard);
+      settingsContainer.appendChild(managerCard);
       settingsContainer.appendChild(storageCard);
       listElement.appendChild(settingsContainer);
     },
 
-    openSimpleEditor(item) {
+    openSimpleEditor(item, options = {}) {
       const section = this.getSection();
       const isPlugin = section === 'plugins';
 
@@ -1491,6 +2850,38 @@ window.VRCXExtended.Popup = {
       thumbnailInput.id = 'editor-thumbnail-input';
       field.appendChild(thumbnailInput);
 
+      // Hot reload link, only offered in debug mode
+      let devSourceInput = null;
+      if (window.opener?.VRCXExtended?.Config?.getSetting('debugMode')) {
+        devSourceInput = document.createElement('input');
+        devSourceInput.type = 'text';
+        devSourceInput.placeholder = 'Dev source for hot reload (path under the local store folder or http://localhost URL)';
+        devSourceInput.value = item?.devSource || '';
+        devSourceInput.style.marginTop = '12px';
+        devSourceInput.id = 'editor-dev-source-input';
+        field.appendChild(devSourceInput);
+      }
+
+      // Shows where the ==PLUGIN== / ==THEME== header disagrees with the fields above
+      const metaNotice = document.createElement('div');
+      metaNotice.className = 'meta-notice';
+      metaNotice.id = 'editor-meta-notice';
+      metaNotice.style.display = 'none';
+      field.appendChild(metaNotice);
+
+      // Risk scan of plugin code, refreshed while typing
+      const riskNotice = document.createElement('div');
+      riskNotice.id = 'editor-risk-notice';
+      if (isPlugin) field.appendChild(riskNotice);
+
+      // CSS check of theme code, refreshed while typing and marked in the gutter
+      const lintNotice = document.createElement('div');
+      lintNotice.id = 'editor-lint-notice';
+      if (!isPlugin) field.appendChild(lintNotice);
+
+      const headerInputs = { name: nameInput, description: descriptionInput, creator: creatorInput };
+      const autofilled = {};
+
       const editorHost = document.createElement('div');
       editorHost.className = 'editor-host';
       const textarea = document.createElement('textarea');
@@ -1539,6 +2930,10 @@ window.VRCXExtended.Popup = {
       
       let autosaveEnabled = true; // Default to enabled
       let autosaveTimer = null;
+      let riskScanTimer = null;
+      let lintTimer = null;
+      // Rules of high risk findings the user already accepted in this editor session
+      let acceptedRisks = '';
       
       autosaveCheckbox.addEventListener('change', (e) => {
         autosaveEnabled = e.target.checked;
@@ -1600,6 +2995,7 @@ window.VRCXExtended.Popup = {
             matchBrackets: true,
             autoCloseBrackets: true,
             autoCloseTags: !isPlugin,
+            gutters: isPlugin ? ['CodeMirror-linenumbers'] : ['css-lint-gutter', 'CodeMirror-linenumbers'],
             theme: 'default',
             value: item?.code || ''
           });
@@ -1619,11 +3015,13 @@ window.VRCXExtended.Popup = {
             const descriptionInput = document.getElementById('editor-description-input');
             const creatorInput = document.getElementById('editor-creator-input');
             const thumbnailInput = document.getElementById('editor-thumbnail-input');
+            const devSourceInput = document.getElementById('editor-dev-source-input');
             
             const name = nameInput ? nameInput.value.trim() : (item?.name || (isPlugin ? 'Untitled Plugin' : 'Untitled Theme'));
             const description = descriptionInput ? descriptionInput.value.trim() : (item?.description || '');
             const creator = creatorInput ? creatorInput.value.trim() : (item?.creator || '');
             const thumbnail = thumbnailInput ? thumbnailInput.value.trim() : (item?.thumbnail || 'https://picsum.photos/200');
+            const devSource = devSourceInput ? devSourceInput.value.trim() : (item?.devSource || '');
             
             let code = '';
             try {
@@ -1632,6 +3030,14 @@ window.VRCXExtended.Popup = {
               code = textarea.value;
             }
 
+            // Broken CSS waits for the next edit; the lint gutter already shows why
+            const cssLint = window.opener?.VRCXExtended?.CssLint;
+            const lintMode = window.opener?.VRCXExtended?.Config?.getSetting('cssLint') || 'warn';
+            if (!isPlugin && cssLint && lintMode !== 'off' && cssLint.lint(code).counts.error > 0) {
+              window.VRCXExtended.Utils.safeConsoleLog('log', '⏸️ [Popup] Autosave skipped: theme CSS has syntax errors');
+              return;
+            }
+
             if (item?.id) {
               const index = data.findIndex(x => x.id === item.id);
               if (index !== -1) {
@@ -1639,23 +3045,26 @@ window.VRCXExtended.Popup = {
                 data[index].description = description;
                 data[index].creator = creator;
                 data[index].thumbnail = thumbnail;
+                data[index].devSource = devSource;
                 data[index].code = code;
                 data[index].updatedAt = window.VRCXExtended.PopupManager.nowIso();
+                window.VRCXExtended.PopupManager.applyHeaderMeta(data[index]);
               }
             } else {
               // For new items, create a temporary save
               const tempId = 'temp_' + Date.now();
-              data.push({
+              data.push(window.VRCXExtended.PopupManager.applyHeaderMeta({
                 id: tempId,
                 name,
                 description,
                 creator,
                 thumbnail,
+                devSource,
                 code,
                 enabled: true,
                 createdAt: window.VRCXExtended.PopupManager.nowIso(),
                 updatedAt: window.VRCXExtended.PopupManager.nowIso(),
-              });
+              }));
               // Update the item reference for subsequent autosaves
               item = { id: tempId };
             }
@@ -1687,8 +3096,72 @@ window.VRCXExtended.Popup = {
             }
           };
           
+          // Fill name/description/creator from the code header
+          window.VRCXExtended.PopupManager.syncHeaderFields(editor.getValue(), headerInputs, metaNotice, autofilled);
+
+          const updateRiskNotice = () => {
+            const riskScan = window.opener?.VRCXExtended?.RiskScan;
+            if (!isPlugin || !riskScan) return;
+            const jumpTo = (line, column) => {
+              editor.setCursor(line - 1, column - 1);
+              editor.scrollIntoView({ line: line - 1, ch: column - 1 }, 100);
+              editor.focus();
+            };
+            riskNotice.innerHTML = '';
+            const scan = riskScan.scan(editor.getValue());
+            if (scan.findings.length) {
+              riskNotice.appendChild(window.VRCXExtended.PopupManager.createRiskReport(scan, jumpTo));
+            }
+          };
+          updateRiskNotice();
+
+          const updateLint = () => {
+            const cssLint = window.opener?.VRCXExtended?.CssLint;
+            if (isPlugin || !cssLint) return;
+            const jumpTo = (line, column) => {
+              editor.setCursor(line - 1, column - 1);
+              editor.scrollIntoView({ line: line - 1, ch: column - 1 }, 100);
+              editor.focus();
+            };
+            const result = cssLint.lint(editor.getValue());
+
+            // One marker per line, colored by its most severe finding
+            editor.clearGutter('css-lint-gutter');
+            const byLine = new Map();
+            result.findings.forEach(finding => {
+              byLine.set(finding.line, (byLine.get(finding.line) || []).concat(finding));
+            });
+            byLine.forEach((findings, line) => {
+              const marker = document.createElement('span');
+              marker.className = 'css-lint-marker ' + (findings.some(finding => finding.severity === 'error') ? 'error' : 'warning');
+              marker.title = findings.map(finding => finding.title + (finding.detail ? ': ' + finding.detail : '')).join('\\n');
+              marker.textContent = '●';
+              editor.setGutterMarker(line - 1, 'css-lint-gutter', marker);
+            });
+
+            lintNotice.innerHTML = '';
+            if (result.findings.length) {
+              lintNotice.appendChild(window.VRCXExtended.PopupManager.createLintReport(result, jumpTo));
+            }
+          };
+          updateLint();
+
+          // Jump to a line, e.g. where a plugin error was thrown
+          if (options.line) {
+            const lineIndex = Math.min(options.line, editor.lineCount()) - 1;
+            editor.setCursor(lineIndex, 0);
+            editor.addLineClass(lineIndex, 'background', 'editor-error-line');
+            editor.scrollIntoView({ line: lineIndex, ch: 0 }, 100);
+            editor.focus();
+          }
+          
           // Set up autosave on editor changes
           editor.on('change', () => {
+            window.VRCXExtended.PopupManager.syncHeaderFields(editor.getValue(), headerInputs, metaNotice, autofilled);
+            clearTimeout(riskScanTimer);
+            riskScanTimer = setTimeout(updateRiskNotice, 500);
+            clearTimeout(lintTimer);
+            lintTimer = setTimeout(updateLint, 500);
             window.VRCXExtended.Utils.safeConsoleLog('log', '📝 [Popup] Editor changed, autosave enabled:', autosaveEnabled);
             if (autosaveEnabled) {
               if (autosaveTimer) {
@@ -1718,6 +3191,7 @@ window.VRCXExtended.Popup = {
           setupInputAutosave(descriptionInput);
           setupInputAutosave(creatorInput);
           setupInputAutosave(thumbnailInput);
+          setupInputAutosave(devSourceInput);
           
           setTimeout(() => {
             if (editor) {
@@ -1738,6 +3212,8 @@ window.VRCXExtended.Popup = {
           clearTimeout(autosaveTimer);
           autosaveTimer = null;
         }
+        clearTimeout(riskScanTimer);
+        clearTimeout(lintTimer);
         
         if (editor) {
           try {
@@ -1762,11 +3238,13 @@ window.VRCXExtended.Popup = {
         const descriptionInput = document.getElementById('editor-description-input');
         const creatorInput = document.getElementById('editor-creator-input');
         const thumbnailInput = document.getElementById('editor-thumbnail-input');
+        const devSourceInput = document.getElementById('editor-dev-source-input');
         
         const name = nameInput ? nameInput.value.trim() : (item?.name || (isPlugin ? 'Untitled Plugin' : 'Untitled Theme'));
         const description = descriptionInput ? descriptionInput.value.trim() : (item?.description || '');
         const creator = creatorInput ? creatorInput.value.trim() : (item?.creator || '');
         const thumbnail = thumbnailInput ? thumbnailInput.value.trim() : (item?.thumbnail || 'https://picsum.photos/200');
+        const devSource = devSourceInput ? devSourceInput.value.trim() : (item?.devSource || '');
         
         let code = '';
         if (editor) {
@@ -1779,6 +3257,25 @@ window.VRCXExtended.Popup = {
           code = textarea.value;
         }
 
+        // Saving runs the plugin, so high risk findings need an explicit OK (once per set of findings)
+        const riskScan = window.opener?.VRCXExtended?.RiskScan;
+        if (isPlugin && riskScan) {
+          const highRisks = riskScan.scan(code).findings.filter(finding => finding.severity === 'high');
+          const signature = [...new Set(highRisks.map(finding => finding.rule + ':' + finding.detail))].sort().join('|');
+          if (highRisks.length && signature !== acceptedRisks) {
+            const summary = highRisks.slice(0, 8).map(finding =>
+              '- line ' + finding.line + ': ' + finding.title + (finding.detail ? ' (' + finding.detail + ')' : '')
+            ).join('\\n');
+            if (!confirm('The code scan flagged high risk code:\\n\\n' + summary + '\\n\\nSave and run this plugin anyway?')) {
+              return;
+            }
+            acceptedRisks = signature;
+          }
+        }
+        if (!isPlugin && !window.VRCXExtended.PopupManager.confirmThemeLint(name, code, 'save')) {
+          return;
+        }
+
         if (item?.id) {
           const index = data.findIndex(x => x.id === item.id);
           if (index !== -1) {
@@ -1786,21 +3283,24 @@ window.VRCXExtended.Popup = {
             data[index].description = description;
             data[index].creator = creator;
             data[index].thumbnail = thumbnail;
+            data[index].devSource = devSource;
             data[index].code = code;
             data[index].updatedAt = window.VRCXExtended.PopupManager.nowIso();
+            window.VRCXExtended.PopupManager.applyHeaderMeta(data[index]);
           }
         } else {
-          data.push({
+          data.push(window.VRCXExtended.PopupManager.applyHeaderMeta({
             id: window.VRCXExtended.PopupManager.uid(),
             name,
             description,
             creator,
             thumbnail,
+            devSource,
             code,
             enabled: true,
             createdAt: window.VRCXExtended.PopupManager.nowIso(),
             updatedAt: window.VRCXExtended.PopupManager.nowIso(),
-          });
+          }));
         }
 
         window.VRCXExtended.PopupManager.writeJSON(storageKey, data);
@@ -2007,6 +3507,7 @@ window.VRCXExtended.Popup = {
       codeTextarea.readOnly = true;
 
       // Handle code content based on section type
+      let loadedCode = null;
       if (section.startsWith('store-')) {
         // For store items, fetch the code content
         codeTextarea.value = 'Loading code content...';
@@ -2014,6 +3515,7 @@ window.VRCXExtended.Popup = {
           const type = section === 'store-plugin' ? 'plugin' : 'theme';
           const codeContent = await this.fetchStoreFile(item, type);
           codeTextarea.value = codeContent;
+          loadedCode = codeContent;
         } catch (error) {
           window.VRCXExtended.Utils.safeConsoleLog('error', 'Failed to fetch store file:', error);
           codeTextarea.value = 'Failed to load code content. Please try again.';
@@ -2021,10 +3523,21 @@ window.VRCXExtended.Popup = {
       } else {
         // For local items, use existing code
         codeTextarea.value = item.code || '';
+        loadedCode = item.code || '';
       }
 
       codeContainer.appendChild(codeTextarea);
       codeSection.appendChild(codeTitle);
+
+      // Plugins get a risk scan of their code so users can decide before installing or enabling
+      const riskScan = window.opener?.VRCXExtended?.RiskScan;
+      if (riskScan && loadedCode !== null && (section === 'store-plugin' || section === 'plugins')) {
+        codeSection.appendChild(this.createRiskReport(riskScan.scan(loadedCode)));
+      }
+      const cssLint = window.opener?.VRCXExtended?.CssLint;
+      if (cssLint && loadedCode !== null && (section === 'store-theme' || section === 'themes')) {
+        codeSection.appendChild(this.createLintReport(cssLint.lint(loadedCode)));
+      }
       codeSection.appendChild(codeContainer);
 
       content.appendChild(headerSection);
@@ -2043,6 +3556,29 @@ window.VRCXExtended.Popup = {
       editBtn.textContent = 'Edit';
       editBtn.style.display = section.startsWith('store-') ? 'none' : 'inline-flex';
 
+      // Store themes can be previewed on top of the installed themes or instead of them
+      let previewBtn = null;
+      if (section === 'store-theme' && loadedCode !== null) {
+        const replaceLabel = document.createElement('label');
+        replaceLabel.className = 'preview-replace';
+        const replaceInput = document.createElement('input');
+        replaceInput.type = 'checkbox';
+        replaceInput.checked = this.previewReplace;
+        replaceInput.addEventListener('change', () => {
+          this.previewReplace = replaceInput.checked;
+        });
+        replaceLabel.appendChild(replaceInput);
+        replaceLabel.appendChild(document.createTextNode(' Instead of my themes'));
+
+        previewBtn = document.createElement('button');
+        previewBtn.className = 'btn';
+        this.setPreviewButton(previewBtn, !!window.opener?.VRCXExtended?.ThemePreview?.isActive(item.name));
+        previewBtn.addEventListener('click', () => this.togglePreview(item, previewBtn));
+
+        footer.appendChild(replaceLabel);
+        footer.appendChild(previewBtn);
+      }
+
       footer.appendChild(closeBtn);
       footer.appendChild(editBtn);
 
@@ -2055,6 +3591,10 @@ window.VRCXExtended.Popup = {
       const closeModal = () => {
         root.style.display = 'none';
         root.innerHTML = '';
+        // A preview belongs to the detail view it was started from
+        if (previewBtn && window.opener?.VRCXExtended?.ThemePreview?.isActive(item.name)) {
+          window.opener.VRCXExtended.ThemePreview.stop();
+        }
       };
 
       closeBtn.addEventListener('click', closeModal);
@@ -2077,65 +3617,957 @@ window.VRCXExtended.Popup = {
       });
     },
 
-    renderCurrentSection() {
-      this.renderContent(this.getSection());
-    },
+    openPluginSettings(item) {
+      const opener = window.opener?.VRCXExtended;
+      const schema = opener?.Metadata?.resolve(item).settings || [];
+      if (!schema.length) return;
 
-    initializeFooter() {
-      // Update time immediately and set interval
-      this.updateFooterTime();
-      setInterval(() => this.updateFooterTime(), 1000);
-      
-      // Update status
-      this.updateFooterStatus('Ready');
-      
-      // Update count based on current section
-      this.updateFooterCount();
-    },
+      const root = document.getElementById('modalRoot');
+      root.style.display = 'block';
+      root.innerHTML = '';
 
-    updateFooterTime() {
-      const timeElement = document.getElementById('footerTime');
-      if (timeElement) {
-        const now = new Date();
-        timeElement.textContent = now.toLocaleTimeString();
-      }
-    },
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
 
-    updateFooterStatus(status) {
-      const statusElement = document.getElementById('footerStatus');
-      if (statusElement) {
-        statusElement.textContent = status;
-      }
-    },
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.style.width = 'min(520px, 90vw)';
+      modal.style.height = 'auto';
+      modal.style.maxHeight = '85vh';
 
-    updateFooterCount() {
-      const countElement = document.getElementById('footerCount');
-      if (!countElement) return;
+      const header = document.createElement('div');
+      header.className = 'modal-header';
 
-      const section = this.getSection();
-      let count = 0;
-      let itemType = 'items';
+      const title = document.createElement('strong');
+      title.textContent = (item.name || '(untitled)') + ' Settings';
+      header.appendChild(title);
 
-      switch(section) {
-        case 'plugins':
-          const plugins = this.readJSON(KEYS.PLUGINS, []);
-          count = plugins.length;
-          itemType = count === 1 ? 'plugin' : 'plugins';
-          break;
-        case 'themes':
-          const themes = this.readJSON(KEYS.THEMES, []);
-          count = themes.length;
-          itemType = count === 1 ? 'theme' : 'themes';
-          break;
-        case 'store':
-          const storeSubsection = this.getStoreSubSection();
-          if (storeSubsection === 'store-plugins') {
-            itemType = 'store plugins';
-          } else if (storeSubsection === 'store-themes') {
+      const body = document.createElement('div');
+      body.className = 'modal-body plugin-settings-form';
+      body.style.overflow = 'auto';
+
+      const values = opener.Config.getPluginSettings(item.id, schema);
+      const inputs = {};
+
+      // Restart the plugin with its new settings if it is on. The stored record is read
+      // again, since the plugin may have been toggled while this dialog was open.
+      const restartPlugin = () => {
+        const stored = this.readJSON(KEYS.PLUGINS, []).find(plugin => plugin.id === item.id);
+        if (stored?.enabled && window.opener?.$app?.refreshVrcxPlugins) {
+          window.opener.$app.refreshVrcxPlugins();
+        }
+      };
+
+      // Store the new value and restart the plugin with it
+      const applySetting = (setting, rawValue) => {
+        const value = opener.Metadata.coerceSetting(setting, rawValue);
+        opener.Config.setPluginSettings(item.id, { [setting.key]: value });
+        restartPlugin();
+        return value;
+      };
+
+      schema.forEach(setting => {
+        const field = document.createElement('div');
+        field.className = 'field';
+
+        const label = document.createElement('label');
+        label.textContent = setting.label;
+
+        let input;
+        if (setting.type === 'select') {
+          input = document.createElement('select');
+          setting.options.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = option;
+            optionEl.textContent = option;
+            input.appendChild(optionEl);
+          });
+          input.value = values[setting.key];
+        } else if (setting.type === 'boolean') {
+          input = document.createElement('input');
+          input.type = 'checkbox';
+          input.checked = !!values[setting.key];
+          field.classList.add('field-inline');
+        } else {
+          input = document.createElement('input');
+          input.type = setting.type === 'number' ? 'number' : setting.type === 'color' ? 'color' : 'text';
+          if (setting.min !== undefined) input.min = setting.min;
+          if (setting.max !== undefined) input.max = setting.max;
+          if (setting.step !== undefined) input.step = setting.step;
+          input.value = values[setting.key];
+        }
+
+        input.addEventListener('change', () => {
+          const value = applySetting(setting, setting.type === 'boolean' ? input.checked : input.value);
+          // Show the value as stored (e.g. clamped numbers)
+          if (setting.type !== 'boolean') input.value = value;
+        });
+
+        inputs[setting.key] = input;
+        field.appendChild(label);
+        field.appendChild(input);
+        body.appendChild(field);
+      });
+
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+
+      const resetBtn = document.createElement('button');
+      resetBtn.className = 'btn ghost';
+      resetBtn.textContent = 'Reset to defaults';
+
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'btn primary';
+      closeBtn.textContent = 'Close';
+
+      footer.appendChild(resetBtn);
+      footer.appendChild(closeBtn);
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      backdrop.appendChild(modal);
+      root.appendChild(backdrop);
+
+      const closeModal = () => {
+        root.style.display = 'none';
+        root.innerHTML = '';
+      };
+
+      resetBtn.addEventListener('click', () => {
+        opener.Config.clearPluginSettings(item.id);
+        schema.forEach(setting => {
+          const input = inputs[setting.key];
+          if (setting.type === 'boolean') {
+            input.checked = !!setting.default;
+          } else {
+            input.value = setting.default;
+          }
+        });
+        restartPlugin();
+      });
+
+      closeBtn.addEventListener('click', closeModal);
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) closeModal();
+      });
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeModal();
+      });
+    },
+
+    openThemeVariables(item) {
+      const variablesApi = window.opener?.VRCXExtended?.ThemeVariables;
+      const variables = variablesApi ? variablesApi.parse(item.code) : [];
+      if (!variables.length) return;
+
+      const stored = variablesApi.getOverrides(item.id);
+      const overrides = { ...stored };
+      // Preview in the main window while editing; only Save stores the values
+      const preview = () => variablesApi.apply(item.id, overrides);
+
+      const root = document.getElementById('modalRoot');
+      root.style.display = 'block';
+      root.innerHTML = '';
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.style.width = 'min(620px, 92vw)';
+      modal.style.height = 'auto';
+      modal.style.maxHeight = '85vh';
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+      const title = document.createElement('strong');
+      title.textContent = (item.name || '(untitled)') + ' Variables';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body plugin-settings-form theme-vars-form';
+      body.style.overflow = 'auto';
+
+      const hint = document.createElement('div');
+      hint.className = 'muted';
+      hint.textContent = item.enabled
+        ? 'Changes are previewed in VRCX right away. Your values are kept apart from the theme code, so they survive edits and store updates.'
+        : 'Enable the theme to preview changes. Your values are kept apart from the theme code, so they survive edits and store updates.';
+      body.appendChild(hint);
+
+      const search = document.createElement('input');
+      search.type = 'text';
+      search.className = 'theme-vars-search';
+      search.placeholder = 'Filter ' + variables.length + ' variables...';
+      body.appendChild(search);
+
+      const fonts = [...new Set(variables.filter(v => v.type === 'font').map(v => v.value)
+        .concat(['system-ui, sans-serif', 'Arial, sans-serif', 'Segoe UI, sans-serif', 'Inter, sans-serif', 'monospace']))];
+      const fontList = document.createElement('datalist');
+      fontList.id = 'theme-vars-fonts';
+      fonts.forEach(font => fontList.appendChild(new Option(font)));
+      body.appendChild(fontList);
+
+      const rows = [];
+      variables.forEach(variable => {
+        const row = document.createElement('div');
+        row.className = 'field theme-var';
+
+        const label = document.createElement('label');
+        label.textContent = variable.name;
+        label.title = 'Theme value: ' + variable.value;
+
+        const setOverride = (value) => {
+          if (!value || value === variable.value) {
+            delete overrides[variable.name];
+          } else {
+            overrides[variable.name] = value;
+          }
+          row.classList.toggle('modified', variable.name in overrides);
+          preview();
+        };
+        const control = this.createThemeVariableControl(variable, overrides[variable.name] || variable.value, setOverride);
+
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'btn ghost theme-var-reset';
+        resetBtn.innerHTML = '<i class="el-icon-refresh-left"></i>';
+        resetBtn.title = 'Back to the theme value';
+        resetBtn.addEventListener('click', () => {
+          control.set(variable.value);
+          setOverride(variable.value);
+        });
+
+        const line = document.createElement('div');
+        line.className = 'theme-var-line';
+        line.appendChild(control.element);
+        line.appendChild(resetBtn);
+
+        row.classList.toggle('modified', variable.name in overrides);
+        row.appendChild(label);
+        row.appendChild(line);
+        body.appendChild(row);
+        rows.push({ row, variable, control, setOverride });
+      });
+
+      search.addEventListener('input', () => {
+        const query = search.value.trim().toLowerCase();
+        rows.forEach(({ row, variable }) => {
+          row.style.display = !query || variable.name.toLowerCase().includes(query) ? '' : 'none';
+        });
+      });
+
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+
+      const resetAllBtn = document.createElement('button');
+      resetAllBtn.className = 'btn ghost';
+      resetAllBtn.textContent = 'Reset all';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn';
+      cancelBtn.textContent = 'Cancel';
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'btn primary';
+      saveBtn.textContent = 'Save';
+
+      footer.appendChild(resetAllBtn);
+      footer.appendChild(cancelBtn);
+      footer.appendChild(saveBtn);
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      backdrop.appendChild(modal);
+      root.appendChild(backdrop);
+
+      const closeModal = () => {
+        root.style.display = 'none';
+        root.innerHTML = '';
+      };
+      // Leaving without saving puts the stored values back
+      const cancel = () => {
+        variablesApi.apply(item.id, stored);
+        closeModal();
+      };
+
+      resetAllBtn.addEventListener('click', () => {
+        rows.forEach(({ variable, control, setOverride }) => {
+          control.set(variable.value);
+          setOverride(variable.value);
+        });
+      });
+      saveBtn.addEventListener('click', () => {
+        variablesApi.setOverrides(item.id, overrides);
+        window.opener?.VRCXExtended?.Utils?.showNotification('Variables of <strong>' + window.opener.VRCXExtended.Utils.escapeHtml(item.name) + '</strong> saved', 'success');
+        closeModal();
+      });
+      cancelBtn.addEventListener('click', cancel);
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) cancel();
+      });
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') cancel();
+      });
+    },
+
+    /**
+     * Set when a theme is injected: always, during a daily time range or in one color scheme.
+     * The schedule can be given to other themes at the same time so they switch as a set.
+     * @param {Object} item - Theme
+     */
+    openThemeSchedule(item) {
+      const scheduleApi = window.opener?.VRCXExtended?.ThemeSchedule;
+      if (!scheduleApi) return;
+      const current = scheduleApi.normalize(item.schedule);
+      const others = this.readJSON(KEYS.THEMES, []).filter(theme => theme.id !== item.id);
+
+      const root = document.getElementById('modalRoot');
+      root.style.display = 'block';
+      root.innerHTML = '';
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.style.width = 'min(480px, 92vw)';
+      modal.style.height = 'auto';
+      modal.style.maxHeight = '85vh';
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+      const title = document.createElement('strong');
+      title.textContent = (item.name || '(untitled)') + ' Schedule';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body plugin-settings-form theme-schedule-form';
+      body.style.overflow = 'auto';
+
+      const hint = document.createElement('div');
+      hint.className = 'muted';
+      hint.textContent = 'An enabled theme with a schedule is only applied while its schedule is active. VRCX switches themes on its own at the start and end of a time range, or when the system switches between light and dark mode.';
+      body.appendChild(hint);
+
+      const typeField = document.createElement('div');
+      typeField.className = 'field';
+      const typeLabel = document.createElement('label');
+      typeLabel.textContent = 'Apply this theme';
+      const typeSelect = document.createElement('select');
+      [['', 'Always'], ['time', 'During a time range'], ['scheme', 'With a system color scheme']].forEach(([value, text]) => {
+        typeSelect.appendChild(new Option(text, value));
+      });
+      typeSelect.value = current?.type || '';
+      typeField.appendChild(typeLabel);
+      typeField.appendChild(typeSelect);
+
+      const timeField = document.createElement('div');
+      timeField.className = 'field theme-schedule-times';
+      const fromInput = document.createElement('input');
+      fromInput.type = 'time';
+      fromInput.value = current?.type === 'time' ? current.from : '07:00';
+      const toInput = document.createElement('input');
+      toInput.type = 'time';
+      toInput.value = current?.type === 'time' ? current.to : '19:00';
+      const timeLabel = document.createElement('label');
+      timeLabel.textContent = 'From / to (a range may pass midnight)';
+      const timeLine = document.createElement('div');
+      timeLine.className = 'theme-var-line';
+      timeLine.appendChild(fromInput);
+      timeLine.appendChild(toInput);
+      timeField.appendChild(timeLabel);
+      timeField.appendChild(timeLine);
+
+      const schemeField = document.createElement('div');
+      schemeField.className = 'field';
+      const schemeLabel = document.createElement('label');
+      schemeLabel.textContent = 'Color scheme (the system uses ' + scheduleApi.getSystemScheme() + ' right now)';
+      const schemeSelect = document.createElement('select');
+      schemeSelect.appendChild(new Option('Dark mode', 'dark'));
+      schemeSelect.appendChild(new Option('Light mode', 'light'));
+      schemeSelect.value = current?.type === 'scheme' ? current.scheme : 'dark';
+      schemeField.appendChild(schemeLabel);
+      schemeField.appendChild(schemeSelect);
+
+      // Other themes that should switch together with this one
+      const setField = document.createElement('div');
+      setField.className = 'field';
+      const setLabel = document.createElement('label');
+      setLabel.textContent = 'Also apply this schedule to';
+      setField.appendChild(setLabel);
+      const setChecks = others.map(theme => {
+        const row = document.createElement('label');
+        row.className = 'theme-schedule-member';
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.value = theme.id;
+        const describe = scheduleApi.describe(theme.schedule);
+        row.appendChild(check);
+        row.appendChild(document.createTextNode(' ' + (theme.name || '(untitled)') + (describe ? ' (' + describe + ')' : '')));
+        setField.appendChild(row);
+        return check;
+      });
+
+      const syncFields = () => {
+        timeField.style.display = typeSelect.value === 'time' ? '' : 'none';
+        schemeField.style.display = typeSelect.value === 'scheme' ? '' : 'none';
+      };
+      syncFields();
+      typeSelect.addEventListener('change', syncFields);
+
+      body.appendChild(typeField);
+      body.appendChild(timeField);
+      body.appendChild(schemeField);
+      if (setChecks.length) body.appendChild(setField);
+
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn ghost';
+      cancelBtn.textContent = 'Cancel';
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'btn primary';
+      saveBtn.textContent = 'Save';
+      footer.appendChild(cancelBtn);
+      footer.appendChild(saveBtn);
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      backdrop.appendChild(modal);
+      root.appendChild(backdrop);
+
+      const closeModal = () => {
+        root.style.display = 'none';
+        root.innerHTML = '';
+      };
+
+      saveBtn.addEventListener('click', () => {
+        let schedule = null;
+        if (typeSelect.value === 'time') {
+          schedule = scheduleApi.normalize({ type: 'time', from: fromInput.value, to: toInput.value });
+          if (!schedule) {
+            window.opener?.VRCXExtended?.Utils?.showNotification('Pick a start and an end time that differ', 'warning');
+            return;
+          }
+        } else if (typeSelect.value === 'scheme') {
+          schedule = { type: 'scheme', scheme: schemeSelect.value };
+        }
+
+        const ids = [item.id].concat(setChecks.filter(check => check.checked).map(check => check.value));
+        const themes = this.readJSON(KEYS.THEMES, []);
+        themes.forEach(theme => {
+          if (!ids.includes(theme.id)) return;
+          if (schedule) {
+            theme.schedule = schedule;
+          } else {
+            delete theme.schedule;
+          }
+          theme.updatedAt = this.nowIso();
+        });
+        this.writeJSON(KEYS.THEMES, themes);
+
+        // Enabled base themes may now overlap another base theme that is on
+        const themeRoles = window.opener?.VRCXExtended?.ThemeRoles;
+        themes
+          .filter(theme => ids.includes(theme.id) && theme.enabled && themeRoles?.getRole(theme) === 'base')
+          .forEach(theme => themeRoles.afterEnable(theme.id, () => this.renderCurrentSection()));
+
+        window.opener?.VRCXExtended?.Utils?.showNotification(
+          (schedule ? 'Scheduled ' : 'Removed the schedule of ') + ids.length + (ids.length === 1 ? ' theme' : ' themes'),
+          'success'
+        );
+        if (window.opener?.$app?.refreshVrcxThemes) {
+          window.opener.$app.refreshVrcxThemes();
+        }
+        closeModal();
+        this.renderCurrentSection();
+      });
+      cancelBtn.addEventListener('click', closeModal);
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) closeModal();
+      });
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeModal();
+      });
+    },
+
+    /**
+     * Generate a theme from a color palette, or rebuild a generated theme from its palette
+     * @param {Object} item - Generated theme to rebuild (omit to create a new theme)
+     */
+    openThemeGenerator(item = null) {
+      const opener = window.opener?.VRCXExtended;
+      const generator = opener?.ThemeGenerator;
+      if (!generator) return;
+
+      const palette = generator.getPalette(item);
+      const preview = opener.ThemePreview;
+      const previewName = item?.name || 'Generated theme';
+
+      const root = document.getElementById('modalRoot');
+      root.style.display = 'block';
+      root.innerHTML = '';
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.style.width = 'min(560px, 92vw)';
+      modal.style.height = 'auto';
+      modal.style.maxHeight = '85vh';
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+      const title = document.createElement('strong');
+      title.textContent = item ? 'Regenerate ' + item.name : 'Generate Theme';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body plugin-settings-form theme-vars-form';
+      body.style.overflow = 'auto';
+
+      const hint = document.createElement('div');
+      hint.className = 'muted';
+      hint.textContent = item
+        ? 'Rebuilds the theme with the current list of VRCX selectors. Colors you changed with the variables button are kept.'
+        : 'Pick the main colors and the generator styles the standard VRCX elements with them. The colors stay editable later with the variables button on the theme card.';
+      body.appendChild(hint);
+
+      const nameField = document.createElement('div');
+      nameField.className = 'field';
+      const nameLabel = document.createElement('label');
+      nameLabel.textContent = 'Name';
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.placeholder = 'Generated Theme';
+      nameInput.value = item?.name || '';
+      nameField.appendChild(nameLabel);
+      nameField.appendChild(nameInput);
+      body.appendChild(nameField);
+
+      const buildCss = () => generator.buildCss(nameInput.value.trim() || 'Generated Theme', palette);
+      const updatePreview = () => {
+        if (preview?.isActive(previewName)) preview.update(buildCss());
+      };
+
+      generator.PALETTE.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'field theme-var';
+
+        const label = document.createElement('label');
+        label.textContent = entry.label;
+        label.title = entry.name;
+
+        const variable = { name: entry.name, value: palette[entry.name], type: 'color' };
+        const control = this.createThemeVariableControl(variable, palette[entry.name], (value) => {
+          palette[entry.name] = value || entry.default;
+          updatePreview();
+        });
+
+        row.appendChild(label);
+        row.appendChild(control.element);
+        body.appendChild(row);
+      });
+
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+
+      const previewBtn = document.createElement('button');
+      previewBtn.className = 'btn';
+      previewBtn.style.marginRight = 'auto';
+      this.setPreviewButton(previewBtn, !!preview?.isActive(previewName));
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'btn ghost';
+      cancelBtn.textContent = 'Cancel';
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'btn primary';
+      saveBtn.textContent = item ? 'Regenerate' : 'Create';
+
+      if (preview) footer.appendChild(previewBtn);
+      footer.appendChild(cancelBtn);
+      footer.appendChild(saveBtn);
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      backdrop.appendChild(modal);
+      root.appendChild(backdrop);
+
+      const closeModal = () => {
+        if (preview?.isActive(previewName)) preview.stop();
+        root.style.display = 'none';
+        root.innerHTML = '';
+      };
+
+      previewBtn.addEventListener('click', () => {
+        if (preview.isActive(previewName)) {
+          preview.stop();
+          return;
+        }
+        // Shown instead of the installed themes, and for as long as the generator is open
+        preview.start(previewName, buildCss(), {
+          replace: true,
+          timeout: 0,
+          onEnd: () => this.setPreviewButton(previewBtn, false)
+        });
+        this.setPreviewButton(previewBtn, true);
+      });
+
+      saveBtn.addEventListener('click', () => {
+        const name = nameInput.value.trim() || 'Generated Theme';
+        const themes = this.readJSON(KEYS.THEMES, []);
+        let theme;
+
+        if (item) {
+          theme = themes.find(x => x.id === item.id);
+          if (!theme) {
+            closeModal();
+            return;
+          }
+          theme.name = name;
+          generator.regenerate(theme, palette);
+        } else {
+          theme = {
+            id: this.uid(),
+            name,
+            description: 'Generated from a color palette',
+            creator: '',
+            thumbnail: 'https://picsum.photos/200',
+            code: generator.buildCss(name, palette),
+            enabled: true,
+            createdAt: this.nowIso(),
+            updatedAt: this.nowIso()
+          };
+          themes.push(theme);
+        }
+        this.applyHeaderMeta(theme);
+        this.writeJSON(KEYS.THEMES, themes);
+
+        closeModal();
+        opener.Utils?.showNotification('Theme <strong>' + opener.Utils.escapeHtml(name) + '</strong> ' + (item ? 'regenerated' : 'created'), 'success');
+        if (window.opener?.$app?.refreshVrcxThemes) {
+          window.opener.$app.refreshVrcxThemes();
+        }
+        // A new generated theme is a base theme that is on, so it replaces the active one
+        if (!item) {
+          opener.ThemeRoles?.afterEnable(theme.id, () => this.renderCurrentSection());
+        }
+        this.renderCurrentSection();
+      });
+      cancelBtn.addEventListener('click', closeModal);
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) closeModal();
+      });
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeModal();
+      });
+    },
+
+    /**
+     * Show which selectors of a theme match elements in the main window right now
+     * @param {Object} item - Theme
+     */
+    openThemeCoverage(item) {
+      const coverage = window.opener?.VRCXExtended?.ThemeCoverage;
+      if (!coverage) return;
+
+      const root = document.getElementById('modalRoot');
+      root.style.display = 'block';
+      root.innerHTML = '';
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const modal = document.createElement('div');
+      modal.className = 'modal';
+      modal.style.width = 'min(720px, 92vw)';
+      modal.style.height = 'min(640px, 85vh)';
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+      const title = document.createElement('strong');
+      title.textContent = (item.name || '(untitled)') + ' Coverage';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body coverage-report';
+      body.style.overflow = 'auto';
+
+      const hint = document.createElement('div');
+      hint.className = 'muted';
+      hint.textContent = 'Selectors are checked against what VRCX shows right now. Closed dialogs and other tabs are not on the page, so open them and run the check again before treating their selectors as dead.';
+
+      const summary = document.createElement('div');
+      summary.className = 'coverage-summary';
+
+      const toolbar = document.createElement('div');
+      toolbar.className = 'coverage-toolbar';
+      const statusFilter = document.createElement('select');
+      [['unmatched', 'Matching nothing'], ['matched', 'Matching elements'], ['unsupported', 'Not checkable'], ['', 'All selectors']].forEach(([value, text]) => {
+        statusFilter.appendChild(new Option(text, value));
+      });
+      const search = document.createElement('input');
+      search.type = 'text';
+      search.placeholder = 'Filter selectors...';
+      toolbar.appendChild(statusFilter);
+      toolbar.appendChild(search);
+
+      const list = document.createElement('div');
+      list.className = 'coverage-list';
+
+      body.appendChild(hint);
+      body.appendChild(summary);
+      body.appendChild(toolbar);
+      body.appendChild(list);
+
+      const footer = document.createElement('div');
+      footer.className = 'modal-footer';
+      const copyBtn = document.createElement('button');
+      copyBtn.className = 'btn ghost';
+      copyBtn.innerHTML = '<i class="el-icon-document-copy"></i> Copy unmatched';
+      copyBtn.style.marginRight = 'auto';
+      const rerunBtn = document.createElement('button');
+      rerunBtn.className = 'btn';
+      rerunBtn.innerHTML = '<i class="el-icon-refresh"></i> Run again';
+      const closeBtn = document.createElement('button');
+      closeBtn.className = 'btn primary';
+      closeBtn.textContent = 'Close';
+      footer.appendChild(copyBtn);
+      footer.appendChild(rerunBtn);
+      footer.appendChild(closeBtn);
+
+      modal.appendChild(header);
+      modal.appendChild(body);
+      modal.appendChild(footer);
+      backdrop.appendChild(modal);
+      root.appendChild(backdrop);
+
+      let result = { selectors: [], counts: { matched: 0, unmatched: 0, unsupported: 0 } };
+      const renderList = () => {
+        const query = search.value.trim().toLowerCase();
+        const shown = result.selectors.filter(entry =>
+          (!statusFilter.value || entry.status === statusFilter.value) &&
+          (!query || entry.selector.toLowerCase().includes(query))
+        );
+        list.innerHTML = '';
+        if (!shown.length) {
+          list.innerHTML = '<div class="muted">No selectors to show</div>';
+          return;
+        }
+        shown.forEach(entry => {
+          const row = document.createElement('div');
+          row.className = 'coverage-row ' + entry.status;
+
+          const selector = document.createElement('code');
+          selector.textContent = entry.selector;
+          if (entry.condition) selector.title = 'Only applies with ' + entry.condition;
+
+          const count = document.createElement('span');
+          count.className = 'coverage-count';
+          count.textContent = entry.status === 'unsupported'
+            ? 'not checkable'
+            : entry.matches + (entry.matches === 1 ? ' element' : ' elements');
+
+          row.appendChild(selector);
+          row.appendChild(count);
+          list.appendChild(row);
+        });
+      };
+      const run = () => {
+        try {
+          result = coverage.report(item.code || '');
+        } catch (error) {
+          window.VRCXExtended.Utils.safeConsoleLog('error', 'Coverage report failed:', error);
+          summary.textContent = 'The theme could not be checked: ' + error.message;
+          return;
+        }
+        const total = result.selectors.length;
+        summary.textContent = total
+          ? result.counts.unmatched + ' of ' + total + ' selectors match nothing, ' + result.counts.matched + ' match elements' +
+            (result.counts.unsupported ? ', ' + result.counts.unsupported + ' could not be checked' : '')
+          : 'This theme has no selectors';
+        summary.className = 'coverage-summary' + (result.counts.unmatched ? ' has-unmatched' : '');
+        copyBtn.disabled = !result.counts.unmatched;
+        renderList();
+      };
+      run();
+
+      const closeModal = () => {
+        root.style.display = 'none';
+        root.innerHTML = '';
+      };
+
+      statusFilter.addEventListener('change', renderList);
+      search.addEventListener('input', renderList);
+      rerunBtn.addEventListener('click', run);
+      copyBtn.addEventListener('click', async () => {
+        const unmatched = result.selectors.filter(entry => entry.status === 'unmatched').map(entry => entry.selector);
+        try {
+          await navigator.clipboard.writeText(unmatched.join('\\n'));
+          window.opener?.VRCXExtended?.Utils?.showNotification('Copied ' + unmatched.length + ' unmatched selectors', 'success');
+        } catch (error) {
+          window.VRCXExtended.Utils.safeConsoleLog('error', 'Copy failed:', error);
+        }
+      });
+      closeBtn.addEventListener('click', closeModal);
+      backdrop.addEventListener('click', (e) => {
+        if (e.target === backdrop) closeModal();
+      });
+      modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeModal();
+      });
+    },
+
+    /**
+     * Create the input(s) for one theme variable
+     * @param {Object} variable - { name, value, type } from ThemeVariables.parse()
+     * @param {string} value - Current value
+     * @param {Function} onChange - Called with the new CSS value while the user edits
+     * @returns {Object} { element, set(value) }
+     */
+    createThemeVariableControl(variable, value, onChange) {
+      const variablesApi = window.opener.VRCXExtended.ThemeVariables;
+      const element = document.createElement('div');
+      element.className = 'theme-var-control';
+
+      const text = document.createElement('input');
+      text.type = 'text';
+      text.value = value;
+
+      if (variable.type === 'color') {
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        const syncPicker = () => {
+          const color = variablesApi.parseColor(text.value);
+          if (color) picker.value = color.hex;
+        };
+        syncPicker();
+        picker.addEventListener('input', () => {
+          // Keep the transparency of the value being replaced
+          const alpha = variablesApi.parseColor(text.value)?.alpha ?? 1;
+          text.value = variablesApi.formatColor(picker.value, alpha);
+          onChange(text.value);
+        });
+        text.addEventListener('input', () => {
+          syncPicker();
+          onChange(text.value.trim());
+        });
+        element.appendChild(picker);
+        element.appendChild(text);
+        return {
+          element,
+          set: (next) => {
+            text.value = next;
+            syncPicker();
+          }
+        };
+      }
+
+      if (variable.type === 'length') {
+        const number = document.createElement('input');
+        number.type = 'number';
+        number.step = 'any';
+        const unit = document.createElement('select');
+        variablesApi.LENGTH_UNITS.forEach(name => unit.appendChild(new Option(name, name)));
+        const set = (next) => {
+          const length = variablesApi.parseLength(next);
+          if (!length) return;
+          number.value = length.number;
+          unit.value = length.unit;
+        };
+        set(value);
+        const emit = () => {
+          if (number.value !== '') onChange(number.value + unit.value);
+        };
+        number.addEventListener('input', emit);
+        unit.addEventListener('change', emit);
+        element.appendChild(number);
+        element.appendChild(unit);
+        return { element, set };
+      }
+
+      if (variable.type === 'font') {
+        text.setAttribute('list', 'theme-vars-fonts');
+      }
+      text.addEventListener('input', () => onChange(text.value.trim()));
+      element.appendChild(text);
+      return {
+        element,
+        set: (next) => {
+          text.value = next;
+        }
+      };
+    },
+
+    renderCurrentSection() {
+      this.renderContent(this.getSection());
+    },
+
+    initializeFooter() {
+      // Update time immediately and set interval
+      this.updateFooterTime();
+      setInterval(() => this.updateFooterTime(), 1000);
+      
+      // Update status
+      this.updateFooterStatus('Ready');
+      
+      // Update count based on current section
+      this.updateFooterCount();
+    },
+
+    updateFooterTime() {
+      const timeElement = document.getElementById('footerTime');
+      if (timeElement) {
+        const now = new Date();
+        timeElement.textContent = now.toLocaleTimeString();
+      }
+    },
+
+    updateFooterStatus(status) {
+      const statusElement = document.getElementById('footerStatus');
+      if (statusElement) {
+        statusElement.textContent = status;
+      }
+    },
+
+    updateFooterCount() {
+      const countElement = document.getElementById('footerCount');
+      if (!countElement) return;
+
+      const section = this.getSection();
+      let count = 0;
+      let itemType = 'items';
+
+      switch(section) {
+        case 'plugins':
+          const plugins = this.readJSON(KEYS.PLUGINS, []);
+          count = plugins.length;
+          itemType = count === 1 ? 'plugin' : 'plugins';
+          break;
+        case 'themes':
+          const themes = this.readJSON(KEYS.THEMES, []);
+          count = themes.length;
+          itemType = count === 1 ? 'theme' : 'themes';
+          break;
+        case 'store':
+          const storeSubsection = this.getStoreSubSection();
+          if (storeSubsection === 'store-plugins') {
+            itemType = 'store plugins';
+          } else if (storeSubsection === 'store-themes') {
             itemType = 'store themes';
           }
           // Store count will be updated when data is loaded
           break;
+        case 'performance':
+          count = window.opener?.VRCXExtended?.Profiler?.getReport().length || 0;
+          itemType = count === 1 ? 'profiled plugin' : 'profiled plugins';
+          break;
+        case 'network':
+          count = window.opener?.VRCXExtended?.NetworkAudit?.getLog(this.networkFilter).length || 0;
+          itemType = count === 1 ? 'request' : 'requests';
+          break;
         case 'settings':
           itemType = 'settings';
           count = 3; // Cache, Debug, Storage sections
@@ -2175,6 +4607,22 @@ window.VRCXExtended.Popup = {
   document.getElementById('createBtn').addEventListener('click', () => 
     window.VRCXExtended.PopupManager.openSimpleEditor(null)
   );
+  document.getElementById('generateBtn').addEventListener('click', () =>
+    window.VRCXExtended.PopupManager.openThemeGenerator()
+  );
+  const importFile = document.getElementById('importFile');
+  document.getElementById('importBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    // Reset so picking the same file again triggers another import
+    importFile.value = '';
+    await window.VRCXExtended.PopupManager.importUserScript(file);
+  });
+
+  // Previews only last while the manager is open
+  window.addEventListener('beforeunload', () => {
+    window.opener?.VRCXExtended?.ThemePreview?.stop();
+  });
 
   // Add Ctrl+R reload functionality
   document.addEventListener('keydown', (e) => {
@@ -2195,6 +4643,9 @@ window.VRCXExtended.Popup = {
   // Apply Material 3 theme
   document.body.className = 'x-container theme-material3';
 
+  // Carry the user's themes over to this window (kept in sync by the main window)
+  window.opener?.VRCXExtended?.ManagerTheme?.attach(window);
+
   // Initialize footer functionality
   window.VRCXExtended.PopupManager.initializeFooter();
 
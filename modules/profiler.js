@@ -0,0 +1,109 @@
+// ==Module==
+// @name         VRCX-Extended Profiler
+// @description  Measures how much main thread time each plugin costs
+// ==Module==
+
+/**
+ * Plugin profiler module for VRCX-Extended
+ * Records, per plugin, the synchronous time spent starting it (injection) and in the
+ * observer and timer callbacks it registers through the `vrcx` context. Observers and
+ * timers a plugin creates on its own are not attributed to it.
+ *
+ * Numbers cover the current session only and are shown in the manager's Performance view.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.Profiler = {
+  // What is measured
+  KINDS: ['inject', 'observer', 'timer'],
+
+  // A single call slower than this (ms) blocks at least one frame
+  SLOW_CALL: 16,
+
+  state: {
+    // Plugin ID -> { id, name, since, inject: {...}, observer: {...}, timer: {...} }
+    stats: {}
+  },
+
+  /**
+   * Get (or create) the stats entry of a plugin
+   * @param {string} id - Plugin ID
+   * @param {string} name - Plugin name
+   * @returns {Object} Stats entry
+   */
+  getEntry(id, name) {
+    let entry = this.state.stats[id];
+    if (!entry) {
+      entry = { id, name, since: Date.now() };
+      this.KINDS.forEach(kind => {
+        entry[kind] = { count: 0, total: 0, max: 0, last: 0, slow: 0 };
+      });
+      this.state.stats[id] = entry;
+    }
+    entry.name = name || entry.name;
+    return entry;
+  },
+
+  /**
+   * Add a measurement
+   * @param {string} id - Plugin ID
+   * @param {string} name - Plugin name
+   * @param {string} kind - One of KINDS
+   * @param {number} ms - Duration in milliseconds
+   */
+  record(id, name, kind, ms) {
+    const bucket = this.getEntry(id, name)[kind];
+    if (!bucket) return;
+    bucket.count++;
+    bucket.total += ms;
+    bucket.last = ms;
+    bucket.max = Math.max(bucket.max, ms);
+    if (ms > this.SLOW_CALL) bucket.slow++;
+  },
+
+  /**
+   * Wrap a callback so the time spent in it is recorded for a plugin
+   * @param {Object} record - Running plugin record ({ id, name })
+   * @param {Function} fn - Callback
+   * @param {string} kind - One of KINDS
+   * @returns {Function} Wrapped callback
+   */
+  wrap(record, fn, kind) {
+    const profiler = this;
+    return function(...args) {
+      const started = performance.now();
+      try {
+        return fn.apply(this, args);
+      } finally {
+        profiler.record(record.id, record.name, kind, performance.now() - started);
+      }
+    };
+  },
+
+  /**
+   * Build the rows of the Performance view, most expensive first
+   * @returns {Array<Object>} { id, name, total, running, inject, observer, timer }
+   */
+  getReport() {
+    const running = window.VRCXExtended.Injection?.state.plugins || {};
+    return Object.values(this.state.stats)
+      .map(entry => ({
+        ...entry,
+        running: !!running[entry.id],
+        total: this.KINDS.reduce((sum, kind) => sum + entry[kind].total, 0)
+      }))
+      .sort((a, b) => b.total - a.total);
+  },
+
+  /**
+   * Forget the measurements of one plugin, or of all plugins
+   * @param {string} id - Plugin ID (omit to reset everything)
+   */
+  reset(id) {
+    if (id) {
+      delete this.state.stats[id];
+    } else {
+      this.state.stats = {};
+    }
+  }
+};
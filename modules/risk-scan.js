@@ -0,0 +1,194 @@
+// ==Module==
+// @name         VRCX-Extended Risk Scan
+// @description  Static checks that flag risky patterns in plugin code before it runs
+// ==Module==
+
+/**
+ * Risk scan module for VRCX-Extended
+ * A pattern based scan of plugin source, run before a store plugin is installed and before
+ * the editor saves (and runs) a plugin. It looks for dynamic code execution, requests to
+ * hard-coded hosts, cookie and credential access, and obfuscated code.
+ *
+ * The scan is a review aid, not a guarantee: it cannot see through code that is built at
+ * runtime, and legitimate plugins can trigger findings.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.RiskScan = {
+  // Severity levels, most severe first
+  SEVERITIES: ['high', 'medium', 'low'],
+
+  // Hosts that belong to VRChat; requests there use the user's session but leave no third party
+  VRCHAT_HOSTS: ['vrchat.com', 'vrchat.cloud', 'vrchat.net'],
+
+  // Words that mark a storage key or cookie as holding credentials
+  AUTH_WORDS: 'auth|token|session|password|passwd|credential|secret|cookie|login',
+
+  // Lines longer than this are reported as minified or packed code
+  MAX_LINE_LENGTH: 2000,
+
+  /**
+   * Pattern rules. `pattern` must use the g flag; `check` may refine or drop a match.
+   * @returns {Array<Object>} { id, severity, title, pattern, check? }
+   */
+  getRules() {
+    return [
+      {
+        id: 'eval',
+        severity: 'high',
+        title: 'Runs code from a string (eval)',
+        pattern: /\beval\s*\(/g
+      },
+      {
+        id: 'function-constructor',
+        severity: 'high',
+        title: 'Builds a function from a string (Function constructor)',
+        pattern: /\bnew\s+Function\s*\(|(?<![\w.])Function\s*\(\s*['"`]/g
+      },
+      {
+        id: 'string-timer',
+        severity: 'medium',
+        title: 'Passes a string of code to a timer',
+        pattern: /\bset(?:Timeout|Interval)\s*\(\s*['"`]/g
+      },
+      {
+        id: 'hardcoded-host',
+        severity: 'high',
+        title: 'Sends requests to a hard-coded server',
+        pattern: /\b(fetch|open|WebSocket|EventSource|sendBeacon|GM_xmlhttpRequest)\s*\([^)]*?['"`]((?:https?|wss?):\/\/([^/'"`\s:?#]+)[^'"`]*)['"`]/g,
+        check: (match) => {
+          const host = match[3].toLowerCase();
+          const isVrchat = this.VRCHAT_HOSTS.some(domain => host === domain || host.endsWith('.' + domain));
+          return isVrchat
+            ? { severity: 'medium', detail: 'Calls VRChat directly (' + host + ') with your session' }
+            : { detail: match[1] + ' to ' + host };
+        }
+      },
+      {
+        id: 'cookies',
+        severity: 'high',
+        title: 'Reads or writes cookies',
+        pattern: /\bdocument\s*\.\s*cookie\b/g
+      },
+      {
+        id: 'auth-storage',
+        severity: 'high',
+        title: 'Accesses credentials in storage',
+        pattern: new RegExp(`\\b(?:local|session)Storage\\s*(?:\\.\\s*(?:getItem|setItem|removeItem)\\s*\\(\\s*|\\[\\s*)['"\`]([^'"\`]*(?:${this.AUTH_WORDS})[^'"\`]*)['"\`]`, 'gi'),
+        check: (match) => ({ detail: 'Key "' + match[1] + '"' })
+      },
+      {
+        id: 'storage-dump',
+        severity: 'medium',
+        title: 'Reads all of local storage',
+        pattern: /\bObject\s*\.\s*(?:keys|entries|values|assign)\s*\(\s*(?:\{\s*\}\s*,\s*)?(?:window\s*\.\s*)?localStorage\b|\bJSON\s*\.\s*stringify\s*\(\s*(?:window\s*\.\s*)?localStorage\b|\bin\s+(?:window\s*\.\s*)?localStorage\b/g
+      },
+      {
+        id: 'encoded-blob',
+        severity: 'medium',
+        title: 'Contains a long encoded blob',
+        pattern: /['"`]([A-Za-z0-9+/]{200,}={0,2})['"`]/g,
+        check: (match) => ({ detail: match[1].length + ' characters of base64-like data' })
+      },
+      {
+        id: 'escaped-string',
+        severity: 'medium',
+        title: 'Hides text in escape sequences',
+        pattern: /(?:\\x[0-9a-fA-F]{2}|\\u[0-9a-fA-F]{4}){16,}/g
+      },
+      {
+        id: 'obfuscator',
+        severity: 'medium',
+        title: 'Looks machine obfuscated',
+        pattern: /\b_0x[0-9a-f]{4,}\b/g,
+        once: true
+      },
+      {
+        id: 'decoding',
+        severity: 'low',
+        title: 'Decodes hidden text at runtime',
+        pattern: /\batob\s*\(|\bString\s*\.\s*fromCharCode\s*\((?:\s*\d+\s*,){8,}/g
+      }
+    ];
+  },
+
+  /**
+   * Scan plugin code
+   * @param {string} code - Plugin source
+   * @returns {Object} { findings: [{ rule, severity, title, detail, line, column, excerpt }], counts, highest }
+   */
+  scan(code) {
+    const source = typeof code === 'string' ? code : '';
+    const lines = source.split('\n');
+    const lineStarts = [0];
+    lines.forEach(line => lineStarts.push(lineStarts[lineStarts.length - 1] + line.length + 1));
+
+    const positionOf = (index) => {
+      let line = 0;
+      while (line + 1 < lineStarts.length && lineStarts[line + 1] <= index) line++;
+      return { line: line + 1, column: index - lineStarts[line] + 1 };
+    };
+
+    const findings = [];
+    this.getRules().forEach(rule => {
+      for (const match of source.matchAll(rule.pattern)) {
+        const position = positionOf(match.index);
+        const lineText = lines[position.line - 1];
+        // Comment lines (including the metadata header) are documentation, not code
+        if (/^\s*(?:\/\/|\/\*|\*)/.test(lineText)) continue;
+
+        const refined = rule.check ? rule.check(match) : {};
+        if (!refined) continue;
+        findings.push({
+          rule: rule.id,
+          severity: refined.severity || rule.severity,
+          title: rule.title,
+          detail: refined.detail || '',
+          line: position.line,
+          column: position.column,
+          excerpt: lineText.trim().slice(0, 120)
+        });
+        if (rule.once) break;
+      }
+    });
+
+    lines.forEach((line, index) => {
+      if (line.length > this.MAX_LINE_LENGTH) {
+        findings.push({
+          rule: 'long-line',
+          severity: 'low',
+          title: 'Minified or packed code that is hard to review',
+          detail: line.length + ' characters on one line',
+          line: index + 1,
+          column: 1,
+          excerpt: line.trim().slice(0, 120)
+        });
+      }
+    });
+
+    findings.sort((a, b) =>
+      this.SEVERITIES.indexOf(a.severity) - this.SEVERITIES.indexOf(b.severity) || a.line - b.line
+    );
+
+    const counts = { high: 0, medium: 0, low: 0 };
+    findings.forEach(finding => counts[finding.severity]++);
+    return {
+      findings,
+      counts,
+      highest: this.SEVERITIES.find(severity => counts[severity] > 0) || null
+    };
+  },
+
+  /**
+   * Find high severity findings of new code that the old code did not have
+   * @param {string} before - Installed code
+   * @param {string} after - New code
+   * @returns {Array<Object>} New high severity findings
+   */
+  getNewHighRisks(before, after) {
+    const known = new Set(this.scan(before).findings.map(finding => finding.rule + ':' + finding.detail));
+    return this.scan(after).findings.filter(finding =>
+      finding.severity === 'high' && !known.has(finding.rule + ':' + finding.detail)
+    );
+  }
+};
@@ -0,0 +1,209 @@
+// ==Module==
+// @name         VRCX-Extended Safe Mode
+// @description  Starts the manager without injecting plugins or themes
+// ==Module==
+
+/**
+ * Safe mode module for VRCX-Extended
+ * Safe mode loads the manager but injects no plugins or themes, so a broken item can be
+ * found and fixed from the UI. It is entered when:
+ *  - the safe mode key (Shift) is held while VRCX starts,
+ *  - the page URL carries the ?vrcxSafeMode flag, or
+ *  - the previous MAX_CRASHED_BOOTS starts never became stable.
+ *
+ * Items can be loaded again one at a time while in safe mode; exiting loads the rest.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.SafeMode = {
+  // Key to hold while VRCX starts
+  KEY: 'Shift',
+
+  // URL query flag that forces safe mode
+  URL_FLAG: 'vrcxSafeMode',
+
+  // Unstable starts in a row before safe mode turns on by itself
+  MAX_CRASHED_BOOTS: 3,
+
+  // How long a start has to run before it counts as stable (ms)
+  STABLE_AFTER: 20000,
+
+  state: {
+    active: false,
+    reason: null,
+    keyHeld: false,
+    keyListener: null,
+    // IDs of items loaded by the user while in safe mode
+    allowed: new Set()
+  },
+
+  /**
+   * Decide whether this start runs in safe mode and record the start.
+   * Call once, before anything is injected.
+   * @returns {string|null} Reason for safe mode, or null for a normal start
+   */
+  detect() {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    const boot = utils.readJSON(config.KEYS.BOOT, {});
+    const crashedBoots = boot.pendingBoots || 0;
+
+    // Counted as crashed until markBootStable() runs
+    utils.writeJSON(config.KEYS.BOOT, { ...boot, pendingBoots: crashedBoots + 1 });
+    this.stopListeningForKey();
+
+    if (this.state.keyHeld || window.VRCXExtended.bootState?.safeModeKeyHeld) {
+      return `${this.KEY} was held during startup`;
+    }
+    if (new URLSearchParams(window.location.search).has(this.URL_FLAG)) {
+      return `the ?${this.URL_FLAG} flag is set`;
+    }
+    if (crashedBoots >= this.MAX_CRASHED_BOOTS) {
+      return `VRCX did not start cleanly ${crashedBoots} times in a row`;
+    }
+    return null;
+  },
+
+  /**
+   * Turn safe mode on for this session
+   * @param {string} reason - Why safe mode is active
+   */
+  enter(reason) {
+    this.state.active = true;
+    this.state.reason = reason;
+    window.VRCXExtended.Utils.safeConsoleLog('warn', '🛟 VRCX-Extended safe mode:', reason);
+    this.showBanner();
+  },
+
+  /**
+   * Reset the crashed boot counter once this start has run for a while.
+   * Starts in safe mode do not count, so safe mode stays on until the user leaves it.
+   */
+  markBootStable() {
+    setTimeout(() => {
+      if (this.state.active) return;
+      const config = window.VRCXExtended.Config;
+      window.VRCXExtended.Utils.writeJSON(config.KEYS.BOOT, { pendingBoots: 0 });
+    }, this.STABLE_AFTER);
+  },
+
+  /**
+   * Filter items down to the ones that may be injected right now
+   * @param {Array} items - Plugins or themes
+   * @returns {Array} Items, with those held back by safe mode marked as disabled
+   */
+  filter(items) {
+    if (!this.state.active) return items;
+    return items.map(item => this.state.allowed.has(item.id) ? item : { ...item, enabled: false });
+  },
+
+  /**
+   * Get enabled items that safe mode is holding back
+   * @param {Array} items - Plugins or themes
+   * @returns {Array} Held back items
+   */
+  getHeldBack(items) {
+    if (!this.state.active) return [];
+    return items.filter(item => item.enabled && !this.state.allowed.has(item.id));
+  },
+
+  /**
+   * Let an item be injected on the next refresh while staying in safe mode
+   * @param {string} id - Item ID
+   */
+  allow(id) {
+    if (this.state.active) this.state.allowed.add(id);
+  },
+
+  /**
+   * Load a single item while staying in safe mode
+   * @param {string} section - 'plugins' or 'themes'
+   * @param {string} id - Item ID
+   */
+  load(section, id) {
+    const injection = window.VRCXExtended.Injection;
+    this.allow(id);
+    if (section === 'plugins') {
+      injection.refreshPlugins();
+    } else {
+      injection.refreshThemes();
+    }
+  },
+
+  /**
+   * Leave safe mode and load everything that is enabled
+   */
+  exit() {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+
+    this.state.active = false;
+    this.state.reason = null;
+    this.state.allowed.clear();
+    utils.writeJSON(config.KEYS.BOOT, { pendingBoots: 0 });
+
+    // Drop the URL flag so a reload starts normally
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(this.URL_FLAG)) {
+      url.searchParams.delete(this.URL_FLAG);
+      window.history.replaceState(window.history.state, '', url.toString());
+    }
+
+    window.VRCXExtended.Injection.refreshAll();
+    utils.showNotification('Safe mode turned off, plugins and themes are loaded again', 'success');
+  },
+
+  /**
+   * Show a sticky notification explaining safe mode
+   */
+  showBanner() {
+    const utils = window.VRCXExtended.Utils;
+    const text = '🛟 <strong>VRCX-Extended safe mode</strong><br>Plugins and themes were not loaded because ' +
+      utils.escapeHtml(this.state.reason) + '. Open the manager to load them one by one.';
+
+    if (typeof Noty === 'undefined') {
+      utils.showNotification(text, 'warning', 0);
+      return;
+    }
+
+    const noty = new Noty({
+      type: 'warning',
+      text,
+      timeout: false,
+      closeWith: ['button'],
+      buttons: [
+        Noty.button('Open manager', 'btn btn-primary btn-sm', () => {
+          window.VRCXExtended.Popup.openManagerWindow();
+        }),
+        Noty.button('Exit safe mode', 'btn btn-sm', () => {
+          window.VRCXExtended.SafeMode.exit();
+          noty.close();
+        })
+      ]
+    });
+    noty.show();
+  },
+
+  /**
+   * Watch for the safe mode key while modules load (custom.js watches from the very start)
+   */
+  listenForKey() {
+    if (this.state.keyListener) return;
+    this.state.keyListener = (event) => {
+      if (event.key === this.KEY) this.state.keyHeld = true;
+    };
+    window.addEventListener('keydown', this.state.keyListener);
+  },
+
+  /**
+   * Stop watching for the safe mode key
+   */
+  stopListeningForKey() {
+    if (!this.state.keyListener) return;
+    window.removeEventListener('keydown', this.state.keyListener);
+    this.state.keyListener = null;
+  }
+};
+
+// Start watching for the safe mode key as soon as the module loads
+window.VRCXExtended.SafeMode.listenForKey();
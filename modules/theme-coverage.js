@@ -0,0 +1,134 @@
+// ==Module==
+// @name         VRCX-Extended Theme Coverage
+// @description  Checks a theme's selectors against the live VRCX DOM to find the ones that match nothing
+// ==Module==
+
+/**
+ * Theme coverage module for VRCX-Extended
+ * Themes style VRCX internals (`.x-friend-item`, `.el-dialog`, ...) that VRCX updates may
+ * rename. The coverage report parses a theme with the browser's own CSS parser and runs
+ * every selector against the main window's document:
+ *
+ *   matched      hits at least one element right now
+ *   unmatched    hits nothing; either dead or styling something that is not on screen
+ *   unsupported  the browser cannot query it (e.g. vendor pseudo-classes)
+ *
+ * States that need interaction (:hover, :focus, ...) and pseudo-elements are dropped before
+ * matching, so `.x-menu-container:hover::before` counts as `.x-menu-container`. Closed
+ * dialogs and other tabs are not in the DOM, so a report is a snapshot of the current view.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemeCoverage = {
+  // Pseudo-elements and interaction states removed from selectors before matching
+  DYNAMIC_PSEUDO: /::?(?:before|after|first-line|first-letter|placeholder|selection|marker|backdrop|file-selector-button|-webkit-[\w-]+|-moz-[\w-]+)(?:\([^)]*\))?|:(?:hover|active|focus-visible|focus-within|focus|visited|target)(?![\w-])/gi,
+
+  /**
+   * Collect the selectors of a theme
+   * @param {string} css - Theme CSS
+   * @returns {Array<Object>} { selector, condition } per selector, nested selectors resolved;
+   *   condition is the text of the enclosing @media/@supports/@container rules
+   */
+  getSelectors(css) {
+    const sheet = new CSSStyleSheet();
+    // replaceSync ignores @import, which is fine here: only the theme's own rules are checked
+    sheet.replaceSync(String(css || ''));
+
+    const selectors = [];
+    const walk = (rules, parents, conditions) => {
+      for (const rule of rules) {
+        if (rule instanceof CSSStyleRule) {
+          const own = this.splitSelectorList(rule.selectorText);
+          const resolved = parents ? own.map(selector => this.resolveNested(selector, parents)) : own;
+          resolved.forEach(selector => selectors.push({ selector, condition: conditions.join(' and ') }));
+          if (rule.cssRules?.length) walk(rule.cssRules, resolved, conditions);
+        } else if (rule.cssRules && !(rule instanceof CSSKeyframesRule)) {
+          const condition = rule.conditionText || rule.media?.mediaText || '';
+          walk(rule.cssRules, parents, condition ? conditions.concat(condition) : conditions);
+        }
+      }
+    };
+    walk(sheet.cssRules, null, []);
+    return selectors;
+  },
+
+  /**
+   * Split a selector list on its top level commas
+   * @param {string} text - Selector list
+   * @returns {Array<string>} Selectors
+   */
+  splitSelectorList(text) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(' || text[i] === '[') depth++;
+      else if (text[i] === ')' || text[i] === ']') depth--;
+      else if (text[i] === ',' && depth === 0) {
+        selectors.push(text.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    selectors.push(text.slice(start).trim());
+    return selectors.filter(Boolean);
+  },
+
+  /**
+   * Turn a nested selector into a standalone one
+   * @param {string} selector - Nested selector, with or without &
+   * @param {Array<string>} parents - Resolved selectors of the parent rule
+   * @returns {string} Standalone selector
+   */
+  resolveNested(selector, parents) {
+    const parent = ':is(' + parents.join(', ') + ')';
+    return selector.includes('&') ? selector.replaceAll('&', parent) : parent + ' ' + selector;
+  },
+
+  /**
+   * Reduce a selector to what can be matched without interaction
+   * @param {string} selector - Selector
+   * @returns {string} Selector for querySelectorAll
+   */
+  toMatchable(selector) {
+    const stripped = selector.replace(this.DYNAMIC_PSEUDO, '').replace(/[\s>+~]+$/, '').trim();
+    return stripped || '*';
+  },
+
+  /**
+   * Count the elements a selector matches in the current document
+   * @param {string} selector - Selector
+   * @returns {number|null} Element count, or null when the selector cannot be queried
+   */
+  count(selector) {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Check every selector of a theme against the current document
+   * @param {string} css - Theme CSS
+   * @returns {Object} { selectors: [{ selector, condition, matches, status }], counts }
+   *   with unmatched selectors first
+   */
+  report(css) {
+    const seen = new Map();
+    this.getSelectors(css).forEach(({ selector, condition }) => {
+      const key = selector + '\n' + condition;
+      if (seen.has(key)) return;
+
+      // Stripping can leave an empty :not(), so the selector as written is the fallback
+      const matches = this.count(this.toMatchable(selector)) ?? this.count(selector);
+      const status = matches === null ? 'unsupported' : matches ? 'matched' : 'unmatched';
+      seen.set(key, { selector, condition, matches: matches || 0, status });
+    });
+
+    const order = ['unmatched', 'unsupported', 'matched'];
+    const selectors = [...seen.values()].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    const counts = { matched: 0, unmatched: 0, unsupported: 0 };
+    selectors.forEach(entry => counts[entry.status]++);
+    return { selectors, counts };
+  }
+};
@@ -0,0 +1,229 @@
+// ==Module==
+// @name         VRCX-Extended Theme Generator
+// @description  Builds a complete VRCX theme from a small color palette
+// ==Module==
+
+/**
+ * Theme generator module for VRCX-Extended
+ * Most full themes are the same list of VRCX and Element UI selectors with different colors.
+ * The generator writes that list once against a palette of custom properties:
+ *
+ *   :root {
+ *     --background: #1e1f26;
+ *     --accent: #7c6cf0;
+ *     ...
+ *   }
+ *
+ * The palette stays in the theme's `:root`, so the variables editor can change it later, and
+ * the `@generator palette` header marks the theme so the popup can rebuild it from its palette
+ * (for example after the selector list was updated for a new VRCX version).
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemeGenerator = {
+  // Value of the @generator header key of generated themes
+  GENERATOR: 'palette',
+
+  // Palette variables, in the order the generator form shows them, with the defaults of a new theme
+  PALETTE: [
+    { name: '--background', label: 'Background', default: '#1e1f26' },
+    { name: '--surface', label: 'Surface', default: '#2a2c36' },
+    { name: '--accent', label: 'Accent', default: '#7c6cf0' },
+    { name: '--text', label: 'Text', default: '#e4e4ec' },
+    { name: '--success', label: 'Online / success', default: '#5fbf7a' },
+    { name: '--info', label: 'Join me / info', default: '#4fa3e0' },
+    { name: '--warning', label: 'Ask me / warning', default: '#e0a246' },
+    { name: '--danger', label: 'Busy / error', default: '#e0565b' }
+  ],
+
+  // Standard VRCX selectors, colored only through the palette variables
+  TEMPLATE: `/* Layout */
+.x-container { background: var(--background); }
+.x-menu-container, .x-aside-container { background: var(--surface); }
+.x-login-container { background-color: var(--background); }
+body, input, textarea, select, button { color: var(--text); }
+
+/* Sidebar */
+.el-menu-item i { color: var(--text); }
+.el-menu-item:hover { background-color: var(--accent); }
+.el-menu-item.is-active { color: var(--accent); }
+.el-menu-item.is-active::before, .el-menu-item.notify::after { background: var(--accent); }
+
+/* Friends list */
+.x-friend-list > .x-friend-group { color: var(--accent); }
+.x-friend-item:hover { background-color: var(--accent); }
+.x-friend-item > .detail > .name, .x-friend-item > .detail > .extra { color: var(--text); }
+.x-friend-item > .avatar.online::after, i.x-user-status.online { background: var(--success); }
+.x-friend-item > .avatar.joinme::after, i.x-user-status.joinme { background: var(--info); }
+.x-friend-item > .avatar.askme::after, i.x-user-status.askme { background: var(--warning); }
+.x-friend-item > .avatar.busy::after, i.x-user-status.busy { background: var(--danger); }
+
+/* Tags */
+.x-tag-platform-pc { color: var(--accent) !important; border-color: var(--accent) !important; }
+.x-tag-platform-quest { color: var(--success) !important; border-color: var(--success) !important; }
+.x-tag-friend, .x-tag-vrcplus { color: var(--warning) !important; border-color: var(--warning) !important; }
+.avatar-info-public { color: var(--success); }
+.avatar-info-own { color: var(--warning); }
+.el-tag.el-tag--info { background-color: var(--background); }
+.el-tag--plain.el-tag--success { background-color: var(--background); border-color: var(--success); color: var(--success); }
+
+/* Dialogs and popups */
+.el-dialog, .el-dialog__body { background-color: var(--background); color: var(--text); }
+.el-message-box, .el-popover, .el-dropdown-menu, .el-select-dropdown { background-color: var(--background); border-color: var(--accent); color: var(--text); }
+.el-message-box__title, .el-message-box__content, .el-message-box__headerbtn .el-message-box__close { color: var(--text); }
+.el-message-box__status.el-icon-info { color: var(--accent); }
+.el-tooltip__popper.is-dark { background-color: var(--background); color: var(--text); }
+.el-popper[x-placement^=bottom] .popper__arrow { border-bottom-color: var(--accent); }
+.el-popper[x-placement^=bottom] .popper__arrow::after { border-bottom-color: var(--background); }
+.el-dropdown-menu__item, .el-select-dropdown__item { color: var(--text); }
+.el-dropdown-menu__item:focus, .el-dropdown-menu__item:not(.is-disabled):hover { color: var(--text); background-color: var(--accent); }
+.el-select-dropdown__item.hover, .el-select-dropdown__item:hover { color: var(--accent); }
+.el-dropdown-menu__item--divided::before { background-color: var(--background); }
+
+/* Tables */
+.el-table { color: var(--text); background-color: var(--background); }
+.el-table thead { color: var(--text); }
+.el-table tr, .el-table td.el-table__cell, .el-table th.el-table__cell { background-color: var(--surface); border-bottom-color: var(--background); }
+.el-table--striped .el-table__body tr.el-table__row--striped td.el-table__cell { background-color: var(--surface); }
+.el-table--enable-row-hover .el-table__body tr:hover > td.el-table__cell { background-color: var(--accent); }
+.el-table--border::after, .el-table--group::after, .el-table::before { background-color: var(--background); }
+.el-table__empty-block { background-color: var(--background); }
+.el-table__expand-icon { color: var(--accent); }
+.el-table .descending .sort-caret.descending { border-top-color: var(--accent); }
+.el-table .ascending .sort-caret.ascending { border-bottom-color: var(--accent); }
+
+/* Pagination */
+.el-pagination__total, .el-pager li, .el-pagination .btn-next, .el-pagination .btn-prev { color: var(--text); }
+.el-pager li, .el-pagination .btn-next, .el-pagination .btn-prev { background-color: var(--background); }
+.el-pager li.active { color: var(--accent); }
+.el-pagination button:disabled { color: var(--danger); background-color: var(--background); }
+
+/* Tabs */
+.el-tabs__item { color: var(--accent); }
+.el-tabs__item:hover { color: var(--accent); }
+.el-tabs__item.is-active { color: var(--text); }
+.el-tabs__active-bar { background-color: var(--text); }
+.el-tabs__nav-wrap::after { background-color: var(--accent); }
+.el-tabs--card > .el-tabs__header { border-bottom-color: var(--accent); }
+.el-tabs--card > .el-tabs__header .el-tabs__nav { border-color: var(--accent); }
+.el-tabs--card > .el-tabs__header .el-tabs__item { border-left-color: var(--accent); }
+.el-tabs--card > .el-tabs__header .el-tabs__item.is-active { border-bottom-color: var(--accent); }
+
+/* Inputs */
+.el-input__inner, .el-textarea__inner { background: var(--surface) !important; border: 1px solid var(--accent) !important; color: var(--text) !important; }
+.el-select .el-input .el-select__caret { color: var(--text); }
+.el-button { color: var(--text); background-color: var(--background); border-color: var(--accent); }
+.el-button:not(.el-button--text, .el-button--primary, .is-disabled):focus,
+.el-button:not(.el-button--text, .el-button--primary, .is-disabled):hover { color: var(--accent); background-color: var(--background); border-color: var(--accent); }
+.el-button--primary { background-color: var(--accent); border-color: var(--accent); color: var(--background); }
+.el-checkbox, .el-radio, .el-switch__label { color: var(--text); }
+.el-checkbox__input.is-checked + .el-checkbox__label, .el-radio__input.is-checked + .el-radio__label, .el-switch__label.is-active { color: var(--accent); }
+.el-checkbox__input.is-checked .el-checkbox__inner, .el-checkbox__input.is-indeterminate .el-checkbox__inner { background-color: var(--accent); border-color: var(--accent); }
+.el-radio__inner { border: 1px solid var(--accent); background-color: var(--background); }
+.el-radio__inner::after { background-color: var(--background); }
+.el-radio__input.is-checked .el-radio__inner { border-color: var(--accent); background: var(--accent); }
+.el-radio-button__inner { color: var(--text); background: var(--background); border: 1px solid var(--text); }
+.el-radio-button__inner:hover { color: var(--accent); }
+.el-radio-button__orig-radio:checked + .el-radio-button__inner { color: var(--accent); border-color: var(--accent); background-color: var(--background); }
+.el-switch__core, .el-switch.is-checked .el-switch__core { border-color: var(--accent); background-color: var(--background); }
+.el-switch__core:after { background-color: var(--accent); }
+.el-slider__runway { background-color: var(--surface); }
+.el-slider__bar { background-color: var(--accent); }
+.el-slider__button { border-color: var(--accent); background-color: var(--accent); }
+.el-form-item.is-required:not(.is-no-asterisk) > .el-form-item__label:before { color: var(--danger); }
+
+/* Trees and collapses */
+.el-tree { color: var(--text); background-color: var(--background); }
+.el-tree-node__expand-icon { color: var(--accent); }
+.el-tree-node__content:hover, .el-tree-node:focus > .el-tree-node__content { background-color: var(--accent); }
+.el-collapse-item__header { color: var(--text); background-color: var(--background); border-bottom-color: var(--surface); }
+.el-collapse-item__wrap { background-color: var(--background); border-bottom-color: var(--accent); }
+
+/* Notifications */
+.noty_theme__mint.noty_type__success { color: var(--text); background-color: var(--success); border-color: var(--success); }
+.noty_theme__mint.noty_type__info { color: var(--text); background-color: var(--info); border-color: var(--info); }
+.noty_theme__mint.noty_type__warning { color: var(--text); background-color: var(--warning); border-color: var(--warning); }
+.noty_theme__mint.noty_type__error { color: var(--text); background-color: var(--danger); border-color: var(--danger); }
+
+/* Scrollbars */
+::-webkit-scrollbar-track { background: transparent; }
+::-webkit-scrollbar-thumb { background: var(--surface); border-radius: 16px; }
+::-webkit-scrollbar-thumb:hover { background: var(--accent); }`,
+
+  /**
+   * Check whether a theme was made by the generator
+   * @param {Object} theme - Theme object
+   * @returns {boolean} True for generated themes
+   */
+  isGenerated(theme) {
+    const header = window.VRCXExtended.Metadata?.parseHeader(theme?.code);
+    return header?.raw.generator?.[0] === this.GENERATOR;
+  },
+
+  /**
+   * Read the palette of a generated theme, including values changed in the variables editor
+   * @param {Object} theme - Theme object (omit for the defaults of a new theme)
+   * @returns {Object} { '--name': color } for every PALETTE entry
+   */
+  getPalette(theme) {
+    const declared = {};
+    if (theme) {
+      (window.VRCXExtended.ThemeVariables?.parse(theme.code) || []).forEach(variable => {
+        declared[variable.name] = variable.value;
+      });
+      Object.assign(declared, window.VRCXExtended.ThemeVariables?.getOverrides(theme.id) || {});
+    }
+
+    const palette = {};
+    this.PALETTE.forEach(entry => {
+      palette[entry.name] = declared[entry.name] || entry.default;
+    });
+    return palette;
+  },
+
+  /**
+   * Build the CSS of a generated theme
+   * @param {string} name - Theme name
+   * @param {Object} palette - { '--name': color }
+   * @returns {string} Theme CSS with header, palette and rules
+   */
+  buildCss(name, palette) {
+    // A name may not end the header comment early
+    const safeName = String(name || 'Generated Theme').replace(/\*\//g, '').replace(/[\r\n]+/g, ' ').trim();
+    const variables = this.PALETTE
+      .map(entry => `  ${entry.name}: ${String(palette[entry.name] || entry.default).replace(/[;{}]/g, '')};`)
+      .join('\n');
+
+    return `/* ==THEME==
+@name        ${safeName}
+@description Generated from a color palette
+@role        base
+@generator   ${this.GENERATOR}
+==THEME== */
+
+:root {
+${variables}
+}
+
+${this.TEMPLATE}
+`;
+  },
+
+  /**
+   * Rebuild a generated theme from a palette. Palette values stored as variable overrides
+   * are moved into the code, so the variables editor starts from the new values.
+   * @param {Object} theme - Stored theme (modified in place)
+   * @param {Object} palette - { '--name': color }
+   */
+  regenerate(theme, palette) {
+    const variables = window.VRCXExtended.ThemeVariables;
+    theme.code = this.buildCss(theme.name, palette);
+    theme.updatedAt = window.VRCXExtended.Utils.nowIso();
+
+    if (variables) {
+      const remaining = { ...variables.getOverrides(theme.id) };
+      this.PALETTE.forEach(entry => delete remaining[entry.name]);
+      variables.setOverrides(theme.id, remaining);
+    }
+  }
+};
@@ -0,0 +1,114 @@
+// ==Module==
+// @name         VRCX-Extended Theme Preview
+// @description  Shows a store theme in VRCX for a while without installing it
+// ==Module==
+
+/**
+ * Theme preview module for VRCX-Extended
+ * Injects a theme's CSS above the installed themes, or instead of them, until the preview is
+ * ended: by the manager (closing the detail view or the manager itself) or after a timeout.
+ * Nothing is stored; ending the preview leaves VRCX exactly as the installed themes make it.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemePreview = {
+  // Element ID of the preview style
+  STYLE_ID: 'vrcx-theme-preview',
+
+  state: {
+    // { name, css, replace, onEnd } while a preview runs
+    active: null,
+    timer: null
+  },
+
+  /**
+   * Start previewing a theme, ending any preview that is running
+   * @param {string} name - Theme name
+   * @param {string} css - Theme CSS
+   * @param {Object} options - { replace: hide the installed themes meanwhile, timeout: ms
+   *   (default: the themePreviewTimeout setting), onEnd: called when the preview ends }
+   */
+  start(name, css, options = {}) {
+    this.stop();
+    const config = window.VRCXExtended.Config;
+    const timeout = options.timeout ?? config.getSetting('themePreviewTimeout');
+
+    this.state.active = { name, css, replace: !!options.replace, onEnd: options.onEnd || null };
+    this.apply();
+    if (timeout > 0) {
+      this.state.timer = setTimeout(() => this.stop(), timeout);
+    }
+
+    const utils = window.VRCXExtended.Utils;
+    utils.showNotification(
+      'Previewing <strong>' + utils.escapeHtml(name) + '</strong>' +
+      (timeout > 0 ? ' for ' + Math.round(timeout / 1000) + ' seconds' : ''),
+      'info'
+    );
+  },
+
+  /**
+   * Put the preview on top of the current themes. Called again after themes are re-injected,
+   * so the preview stays last and replaced themes stay off.
+   */
+  apply() {
+    const active = this.state.active;
+    if (!active) return;
+
+    let style = document.getElementById(this.STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.setAttribute('data-vrcxmods', 'preview');
+      style.id = this.STYLE_ID;
+      style.textContent = active.css;
+    }
+    document.head.appendChild(style);
+
+    document.querySelectorAll("style[data-vrcxmods='theme']").forEach(theme => {
+      theme.disabled = active.replace;
+    });
+  },
+
+  /**
+   * Replace the CSS of the running preview, e.g. while its colors are being picked
+   * @param {string} css - Theme CSS
+   */
+  update(css) {
+    if (!this.state.active) return;
+    this.state.active.css = css;
+    const style = document.getElementById(this.STYLE_ID);
+    if (style) style.textContent = css;
+  },
+
+  /**
+   * End the preview and restore the installed themes
+   */
+  stop() {
+    const active = this.state.active;
+    clearTimeout(this.state.timer);
+    this.state.timer = null;
+    if (!active) return;
+
+    this.state.active = null;
+    document.getElementById(this.STYLE_ID)?.remove();
+    document.querySelectorAll("style[data-vrcxmods='theme']").forEach(theme => {
+      theme.disabled = false;
+    });
+
+    try {
+      active.onEnd?.();
+    } catch (error) {
+      // The manager window may have been closed since
+    }
+  },
+
+  /**
+   * Check whether a theme is being previewed
+   * @param {string} name - Theme name (omit to check for any preview)
+   * @returns {boolean} True while the preview runs
+   */
+  isActive(name) {
+    const active = this.state.active;
+    return !!active && (name === undefined || active.name === name);
+  }
+};
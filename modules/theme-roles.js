@@ -0,0 +1,209 @@
+// ==Module==
+// @name         VRCX-Extended Theme Roles
+// @description  Groups themes by role and keeps a single base theme enabled
+// ==Module==
+
+/**
+ * Theme roles module for VRCX-Extended
+ * Themes declare what they are with `@role` in their header (store themes can also set it in
+ * the store index):
+ *
+ *   base   restyles the whole app; only one base theme can be on at a time
+ *   addon  adds to whatever base theme is active (the default)
+ *   tweak  a small adjustment that should win over everything else
+ *   popup  styles the manager window instead of VRCX (see ManagerTheme)
+ *
+ * Roles also order the cascade: base themes are injected first and tweaks last, with the
+ * user's priority deciding within a role.
+ *
+ * Store themes installed before the store index declared roles have none stored; they are
+ * given the index role once at startup (see migrateStoreRoles).
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemeRoles = {
+  // Roles in cascade order (earlier roles are injected first)
+  ROLES: ['base', 'addon', 'tweak', 'popup'],
+
+  // Role of themes that do not declare one
+  DEFAULT_ROLE: 'addon',
+
+  // Headings of the role groups in the Themes list
+  LABELS: {
+    base: 'Base themes',
+    addon: 'Add-ons',
+    tweak: 'Tweaks',
+    popup: 'Manager window'
+  },
+
+  // How long the undo notification stays (ms)
+  UNDO_TIMEOUT: 8000,
+
+  /**
+   * Get the role of a theme
+   * @param {Object} theme - Theme object
+   * @returns {string} One of ROLES
+   */
+  getRole(theme) {
+    const declared = window.VRCXExtended.Metadata?.resolve(theme).role;
+    const role = String(declared || '').trim().toLowerCase();
+    return this.ROLES.includes(role) ? role : this.DEFAULT_ROLE;
+  },
+
+  /**
+   * Position of a theme's role in the cascade
+   * @param {Object} theme - Theme object
+   * @returns {number} Index in ROLES
+   */
+  getRank(theme) {
+    return this.ROLES.indexOf(this.getRole(theme));
+  },
+
+  /**
+   * Turn off the other base themes when a base theme is on, unless their schedules never overlap
+   * @param {Array} themes - Stored themes (modified in place)
+   * @param {string} themeId - Theme that was just enabled
+   * @returns {Array} Themes that were turned off
+   */
+  enforceExclusive(themes, themeId) {
+    const theme = themes.find(t => t.id === themeId);
+    if (!theme || !theme.enabled || this.getRole(theme) !== 'base') return [];
+
+    // Base themes scheduled for other times (e.g. a light one by day, a dark one at night) can stay on
+    const schedule = window.VRCXExtended.ThemeSchedule;
+    const others = themes.filter(t => t.id !== themeId && t.enabled && this.getRole(t) === 'base' &&
+      (!schedule || schedule.overlaps(theme, t)));
+    others.forEach(t => {
+      t.enabled = false;
+      t.updatedAt = window.VRCXExtended.Utils.nowIso();
+    });
+    return others;
+  },
+
+  /**
+   * Apply the base theme rule after a theme was enabled and stored: turn the other base
+   * themes off, re-inject, and offer to undo the switch
+   * @param {string} themeId - Theme that was enabled
+   * @param {Function} onChange - Called after the undo, e.g. to re-render the manager (optional)
+   * @returns {Array} Themes that were turned off
+   */
+  afterEnable(themeId, onChange) {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    const themes = utils.readJSON(config.KEYS.THEMES, []);
+    const switchedOff = this.enforceExclusive(themes, themeId);
+    if (!switchedOff.length) return [];
+
+    utils.writeJSON(config.KEYS.THEMES, themes);
+    window.VRCXExtended.Injection?.refreshThemes();
+    switchedOff.forEach(theme => {
+      window.VRCXExtended.Events?.emitSystem('theme-toggled', { id: theme.id, name: theme.name, enabled: false });
+    });
+
+    const theme = themes.find(t => t.id === themeId);
+    const names = switchedOff.map(t => '<strong>' + utils.escapeHtml(t.name) + '</strong>').join(', ');
+    utils.showUndoNotification(
+      'Base theme <strong>' + utils.escapeHtml(theme.name) + '</strong> replaced ' + names,
+      () => {
+        this.restore(themeId, switchedOff.map(t => t.id));
+        try {
+          onChange?.();
+        } catch (error) {
+          // The manager window may have been closed since
+        }
+      },
+      this.UNDO_TIMEOUT
+    );
+    return switchedOff;
+  },
+
+  /**
+   * Undo a base theme switch: turn the new theme off and the previous ones back on
+   * @param {string} themeId - Theme that was enabled
+   * @param {Array<string>} previousIds - Themes that were turned off for it
+   */
+  restore(themeId, previousIds) {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    const themes = utils.readJSON(config.KEYS.THEMES, []);
+    const changed = [];
+
+    themes.forEach(theme => {
+      const enabled = theme.id === themeId ? false : previousIds.includes(theme.id) ? true : theme.enabled;
+      if (enabled !== theme.enabled) {
+        theme.enabled = enabled;
+        theme.updatedAt = utils.nowIso();
+        changed.push(theme);
+      }
+    });
+    if (!changed.length) return;
+
+    utils.writeJSON(config.KEYS.THEMES, themes);
+    window.VRCXExtended.Injection?.refreshThemes();
+    changed.forEach(theme => {
+      window.VRCXExtended.Events?.emitSystem('theme-toggled', { id: theme.id, name: theme.name, enabled: theme.enabled });
+    });
+  },
+
+  /**
+   * Give installed store themes without a role the role their store index entry declares
+   * @param {Array} themes - Stored themes (modified in place)
+   * @param {Array} storeThemes - Store index entries
+   * @returns {Array} Themes that got a role
+   */
+  applyStoreRoles(themes, storeThemes) {
+    const metadata = window.VRCXExtended.Metadata;
+    return themes.filter(theme => {
+      if (theme.role || metadata?.resolve(theme).role) return false;
+      const entry = storeThemes.find(store => store.name === theme.name && store.creator === theme.creator);
+      if (!entry || !this.ROLES.includes(entry.role)) return false;
+      theme.role = entry.role;
+      return true;
+    });
+  },
+
+  /**
+   * Fill in store roles once for themes installed before the store index had them, then
+   * apply the single base theme rule to them (keeping the base theme that was on top)
+   */
+  async migrateStoreRoles() {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    if (config.getSetting('storeRolesMigrated') || window.VRCXExtended.SafeMode?.state.active) return;
+
+    let storeThemes;
+    try {
+      storeThemes = await window.VRCXExtended.Store.fetchStoreData('themes');
+    } catch (error) {
+      // Offline: try again on the next start
+      return;
+    }
+
+    const themes = utils.readJSON(config.KEYS.THEMES, []);
+    const changed = this.applyStoreRoles(themes, storeThemes);
+    config.setSetting('storeRolesMigrated', true);
+    if (!changed.length) return;
+
+    utils.writeJSON(config.KEYS.THEMES, themes);
+
+    // The base theme injected last is the one that shows; it stays on. afterEnable re-injects
+    // when it turns others off, otherwise the new roles only change the order.
+    const injection = window.VRCXExtended.Injection;
+    const ordered = injection ? injection.orderThemes(themes) : themes;
+    const top = ordered.filter(theme => theme.enabled && this.getRole(theme) === 'base').pop();
+    if (!top || !this.afterEnable(top.id).length) {
+      injection?.refreshThemes();
+    }
+  },
+
+  /**
+   * Split themes into role groups for the Themes list
+   * @param {Array} themes - Themes in list order
+   * @returns {Array<Object>} { role, label, themes } for every role that has themes, base first
+   */
+  group(themes) {
+    return this.ROLES
+      .map(role => ({ role, label: this.LABELS[role], themes: themes.filter(theme => this.getRole(theme) === role) }))
+      .filter(group => group.themes.length);
+  }
+};
@@ -0,0 +1,174 @@
+// ==Module==
+// @name         VRCX-Extended Theme Schedule
+// @description  Turns enabled themes on and off by time of day or by the system color scheme
+// ==Module==
+
+/**
+ * Theme schedule module for VRCX-Extended
+ * A theme can carry a schedule next to its enabled flag:
+ *
+ *   { type: 'time', from: '07:00', to: '19:00' }   daily range, may pass midnight
+ *   { type: 'scheme', scheme: 'dark' }             follows prefers-color-scheme
+ *
+ * An enabled theme with a schedule is only injected while the schedule is active; themes
+ * without one are always injected. Giving several themes the same schedule makes them a set
+ * that switches together, e.g. a light base theme with its add-ons.
+ *
+ * Schedules never change the enabled flag. The injection system re-injects the themes when
+ * the set of active schedules changes, checked every CHECK_INTERVAL and right away when the
+ * system color scheme changes.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemeSchedule = {
+  // Schedule types
+  TYPES: ['time', 'scheme'],
+
+  // Color schemes a schedule can follow
+  SCHEMES: ['light', 'dark'],
+
+  // How often time schedules are checked (ms)
+  CHECK_INTERVAL: 30000,
+
+  state: {
+    timer: null,
+    media: null,
+    onSchemeChange: null,
+    signature: null
+  },
+
+  /**
+   * Validate a schedule
+   * @param {Object} schedule - Schedule as stored
+   * @returns {Object|null} Clean schedule, or null for none or an invalid one
+   */
+  normalize(schedule) {
+    if (!schedule || !this.TYPES.includes(schedule.type)) return null;
+    if (schedule.type === 'scheme') {
+      return this.SCHEMES.includes(schedule.scheme) ? { type: 'scheme', scheme: schedule.scheme } : null;
+    }
+    const from = this.parseTime(schedule.from);
+    const to = this.parseTime(schedule.to);
+    if (from === null || to === null || from === to) return null;
+    return { type: 'time', from: schedule.from, to: schedule.to };
+  },
+
+  /**
+   * Parse a time of day
+   * @param {string} value - HH:MM
+   * @returns {number|null} Minutes after midnight, or null when invalid
+   */
+  parseTime(value) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  },
+
+  /**
+   * Get the system color scheme
+   * @returns {string} 'dark' or 'light'
+   */
+  getSystemScheme() {
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  },
+
+  /**
+   * Check whether a theme's schedule lets it be injected now
+   * @param {Object} theme - Theme object
+   * @param {Date} now - Moment to check (default: now)
+   * @returns {boolean} True when the theme has no schedule or its schedule is active
+   */
+  isActive(theme, now = new Date()) {
+    const schedule = this.normalize(theme.schedule);
+    if (!schedule) return true;
+    if (schedule.type === 'scheme') {
+      return schedule.scheme === this.getSystemScheme();
+    }
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const from = this.parseTime(schedule.from);
+    const to = this.parseTime(schedule.to);
+    // A range such as 19:00-07:00 passes midnight
+    return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+  },
+
+  /**
+   * Check whether two themes can be active at the same time
+   * @param {Object} a - Theme object
+   * @param {Object} b - Theme object
+   * @returns {boolean} True unless their schedules never overlap
+   */
+  overlaps(a, b) {
+    const first = this.normalize(a.schedule);
+    const second = this.normalize(b.schedule);
+    if (!first || !second || first.type !== second.type) return true;
+    if (first.type === 'scheme') return first.scheme === second.scheme;
+
+    // Split ranges that pass midnight and compare the pieces
+    const pieces = (schedule) => {
+      const from = this.parseTime(schedule.from);
+      const to = this.parseTime(schedule.to);
+      return from < to ? [[from, to]] : [[from, 1440], [0, to]];
+    };
+    return pieces(first).some(([fromA, toA]) =>
+      pieces(second).some(([fromB, toB]) => fromA < toB && fromB < toA)
+    );
+  },
+
+  /**
+   * Describe a schedule for the theme list
+   * @param {Object} schedule - Schedule as stored
+   * @returns {string} Description, empty when there is no schedule
+   */
+  describe(schedule) {
+    const clean = this.normalize(schedule);
+    if (!clean) return '';
+    return clean.type === 'scheme'
+      ? (clean.scheme === 'dark' ? 'Dark mode' : 'Light mode')
+      : `${clean.from}–${clean.to}`;
+  },
+
+  /**
+   * Call back whenever a scheduled theme starts or stops being active
+   * @param {Function} callback - Called with no arguments
+   */
+  watch(callback) {
+    this.unwatch();
+    const check = () => {
+      const signature = this.getSignature();
+      if (signature === this.state.signature) return;
+      this.state.signature = signature;
+      callback();
+    };
+
+    this.state.signature = this.getSignature();
+    this.state.timer = setInterval(check, this.CHECK_INTERVAL);
+    this.state.media = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+    this.state.onSchemeChange = check;
+    this.state.media?.addEventListener('change', check);
+  },
+
+  /**
+   * Stop watching for changes
+   */
+  unwatch() {
+    clearInterval(this.state.timer);
+    this.state.timer = null;
+    this.state.media?.removeEventListener('change', this.state.onSchemeChange);
+    this.state.media = null;
+  },
+
+  /**
+   * Snapshot of the scheduled themes that are active now
+   * @returns {string} Signature string
+   */
+  getSignature() {
+    const config = window.VRCXExtended.Config;
+    return window.VRCXExtended.Utils.readJSON(config.KEYS.THEMES, [])
+      .filter(theme => theme.enabled && this.normalize(theme.schedule) && this.isActive(theme))
+      .map(theme => theme.id)
+      .join('|');
+  }
+};
@@ -0,0 +1,240 @@
+// ==Module==
+// @name         VRCX-Extended Theme Variables
+// @description  Reads the :root custom properties of a theme and applies user overrides after it
+// ==Module==
+
+/**
+ * Theme variables module for VRCX-Extended
+ * Most themes keep their palette in custom properties on `:root`:
+ *
+ *   :root {
+ *     --background: #2e3440;
+ *     --mainc: #88c0d0;
+ *   }
+ *
+ * The popup lists these with a control per kind of value (color, length, font). The user's
+ * values are stored per theme ID, apart from the theme code, so they survive edits and store
+ * updates, and are injected in a style element right after the theme's own.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.ThemeVariables = {
+  // Units offered for length variables
+  LENGTH_UNITS: ['px', 'em', 'rem', '%', 'vh', 'vw', 'pt'],
+
+  // Color keywords that depend on where the variable is used, so they get no color picker
+  CONTEXT_COLORS: ['currentcolor', 'inherit', 'initial', 'unset', 'revert', 'revert-layer'],
+
+  state: {
+    // 2D context whose fillStyle normalizes CSS colors
+    colorContext: null
+  },
+
+  /**
+   * Find the custom properties a theme declares on :root
+   * @param {string} css - Theme CSS
+   * @returns {Array<Object>} { name, value, type } in order of first declaration; a later declaration wins
+   */
+  parse(css) {
+    const source = String(css || '').replace(/\/\*[\s\S]*?\*\//g, '');
+    const variables = new Map();
+    const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    const declarationPattern = /(--[\w-]+)\s*:\s*([^;]+?)\s*(?:;|$)/g;
+
+    for (const rule of source.matchAll(rulePattern)) {
+      const selectors = rule[1].split(',').map(selector => selector.trim());
+      if (!selectors.includes(':root')) continue;
+
+      for (const declaration of rule[2].matchAll(declarationPattern)) {
+        const name = declaration[1];
+        const value = declaration[2].replace(/\s*!important$/i, '');
+        variables.set(name, { name, value, type: this.detectType(name, value) });
+      }
+    }
+    return [...variables.values()];
+  },
+
+  /**
+   * Decide which control suits a variable
+   * @param {string} name - Property name
+   * @param {string} value - Declared value
+   * @returns {string} color, length, font or text
+   */
+  detectType(name, value) {
+    if (this.parseColor(value)) return 'color';
+    if (this.parseLength(value)) return 'length';
+    if (/font|family/i.test(name) || /,\s*(serif|sans-serif|monospace|cursive|fantasy|system-ui)\s*$/i.test(value)) return 'font';
+    return 'text';
+  },
+
+  /**
+   * Parse a CSS color: hex and rgb()/rgba() directly, anything else the browser accepts
+   * (hsl(), named colors, ...) through normalizeColor()
+   * @param {string} value - CSS value
+   * @returns {Object|null} { hex: '#rrggbb', alpha } or null when it is not a color
+   */
+  parseColor(value) {
+    const text = String(value).trim().toLowerCase();
+    const parsed = this.parseRgb(text);
+    if (parsed || !text) return parsed;
+    const normalized = this.normalizeColor(text);
+    return normalized ? this.parseRgb(normalized) : null;
+  },
+
+  /**
+   * Parse a color written as hex, rgb() or rgba()
+   * @param {string} text - Lowercase CSS value
+   * @returns {Object|null} { hex: '#rrggbb', alpha } or null for anything else
+   */
+  parseRgb(text) {
+    let match = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (match) {
+      let digits = match[1];
+      if (digits.length <= 4) digits = digits.split('').map(ch => ch + ch).join('');
+      const alpha = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1;
+      return { hex: '#' + digits.slice(0, 6), alpha: Math.round(alpha * 100) / 100 };
+    }
+
+    match = text.match(/^rgba?\(\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*[, ]\s*(\d{1,3})\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/);
+    if (match) {
+      const channels = match.slice(1, 4).map(channel => Math.min(255, parseInt(channel, 10)));
+      let alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+      if (match[4]?.endsWith('%')) alpha /= 100;
+      return {
+        hex: '#' + channels.map(channel => channel.toString(16).padStart(2, '0')).join(''),
+        alpha: Math.max(0, Math.min(1, alpha))
+      };
+    }
+    return null;
+  },
+
+  /**
+   * Let the browser convert any CSS color to #rrggbb or rgba(). A canvas keeps its previous
+   * fillStyle when given something that is not a color, so the value is tried over two
+   * different colors and only counts when both give the same result.
+   * @param {string} text - Lowercase CSS value
+   * @returns {string|null} Normalized color, or null when it is not a color
+   */
+  normalizeColor(text) {
+    if (this.CONTEXT_COLORS.includes(text) || text.includes('var(')) return null;
+    if (!this.state.colorContext) {
+      this.state.colorContext = document.createElement('canvas').getContext?.('2d') || null;
+    }
+    const context = this.state.colorContext;
+    if (!context) return null;
+
+    context.fillStyle = '#000000';
+    context.fillStyle = text;
+    const first = context.fillStyle;
+    context.fillStyle = '#ffffff';
+    context.fillStyle = text;
+    return first === context.fillStyle ? String(first) : null;
+  },
+
+  /**
+   * Write a picked color back, keeping the transparency of the original value
+   * @param {string} hex - Picked color (#rrggbb)
+   * @param {number} alpha - Alpha of the original value
+   * @returns {string} CSS color
+   */
+  formatColor(hex, alpha = 1) {
+    if (alpha >= 1) return hex;
+    const channels = [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+    return `rgba(${channels.join(', ')}, ${alpha})`;
+  },
+
+  /**
+   * Parse a single length such as 12px or 1.5rem
+   * @param {string} value - CSS value
+   * @returns {Object|null} { number, unit } or null
+   */
+  parseLength(value) {
+    const match = String(value).trim().match(/^(-?\d*\.?\d+)(px|em|rem|%|vh|vw|pt)$/i);
+    return match ? { number: parseFloat(match[1]), unit: match[2].toLowerCase() } : null;
+  },
+
+  /**
+   * Get the stored overrides of a theme
+   * @param {string} themeId - Theme ID
+   * @returns {Object} { '--name': value }
+   */
+  getOverrides(themeId) {
+    const config = window.VRCXExtended.Config;
+    return window.VRCXExtended.Utils.readJSON(config.KEYS.THEME_VARIABLES, {})[themeId] || {};
+  },
+
+  /**
+   * Store the overrides of a theme and apply them
+   * @param {string} themeId - Theme ID
+   * @param {Object} overrides - { '--name': value }; empty values are dropped
+   */
+  setOverrides(themeId, overrides) {
+    const config = window.VRCXExtended.Config;
+    const utils = window.VRCXExtended.Utils;
+    const all = utils.readJSON(config.KEYS.THEME_VARIABLES, {});
+    const cleaned = {};
+    Object.keys(overrides || {}).forEach(name => {
+      const value = String(overrides[name] ?? '').trim();
+      if (/^--[\w-]+$/.test(name) && value) cleaned[name] = value;
+    });
+
+    if (Object.keys(cleaned).length) {
+      all[themeId] = cleaned;
+    } else {
+      delete all[themeId];
+    }
+    utils.writeJSON(config.KEYS.THEME_VARIABLES, all);
+    this.apply(themeId, cleaned);
+    // Overrides do not re-inject the theme, so the manager window is updated here
+    window.VRCXExtended.ManagerTheme?.apply();
+  },
+
+  /**
+   * Remove the overrides of a theme (used when it is reset or deleted)
+   * @param {string} themeId - Theme ID
+   */
+  clear(themeId) {
+    this.setOverrides(themeId, {});
+  },
+
+  /**
+   * Build the CSS for a set of overrides
+   * @param {Object} overrides - { '--name': value }
+   * @returns {string} CSS, empty when there is nothing to override
+   */
+  buildCss(overrides) {
+    const lines = Object.keys(overrides || {})
+      // A value may not close the block or start another declaration
+      .filter(name => !/[;{}]/.test(overrides[name]))
+      // !important so the user's value also beats !important declarations in the theme
+      .map(name => `  ${name}: ${overrides[name]} !important;`);
+    return lines.length ? `:root {\n${lines.join('\n')}\n}` : '';
+  },
+
+  /**
+   * Put overrides into effect right after the theme's style element. Also used for the
+   * live preview, which does not store anything.
+   * @param {string} themeId - Theme ID
+   * @param {Object} overrides - { '--name': value }
+   */
+  apply(themeId, overrides) {
+    const id = `vrcx-theme-vars-${themeId}`;
+    const css = this.buildCss(overrides);
+    const themeStyle = document.getElementById(`vrcx-theme-${themeId}`);
+    let style = document.getElementById(id);
+
+    if (!css || !themeStyle) {
+      style?.remove();
+      return;
+    }
+    if (!style) {
+      style = document.createElement('style');
+      style.setAttribute('data-vrcxmods', 'theme');
+      style.id = id;
+    }
+    style.textContent = css;
+    if (themeStyle.nextSibling !== style) {
+      themeStyle.after(style);
+    }
+  }
+};
@@ -386,19 +386,28 @@ window.VRCXExtended.UI = {
         allItems[index].updatedAt = utils.nowIso();
         utils.writeJSON(storageKey, allItems);
         
-        // Apply immediately
+        // Apply immediately (disabling a plugin tears it down through its lifecycle)
         let applySuccess = true;
         try {
-          if (section === 'plugins' && window.opener?.$app?.refreshVrcxPlugins) {
-            window.opener.$app.refreshVrcxPlugins();
+          const app = window.opener?.$app || window.$app;
+          if (section === 'plugins' && app?.refreshVrcxPlugins) {
+            app.refreshVrcxPlugins();
           }
-          if (section === 'themes' && window.opener?.$app?.refreshVrcxThemes) {
-            window.opener.$app.refreshVrcxThemes();
+          if (section === 'themes' && app?.refreshVrcxThemes) {
+            app.refreshVrcxThemes();
           }
         } catch (applyError) {
           console.warn('Failed to apply changes:', applyError);
           applySuccess = false;
         }
+        window.VRCXExtended.Events?.emitSystem(section === 'plugins' ? 'plugin-toggled' : 'theme-toggled', {
+          id: item.id,
+          name: item.name,
+          enabled: checkbox.checked
+        });
+        if (section === 'themes' && checkbox.checked) {
+          window.VRCXExtended.ThemeRoles?.afterEnable(item.id);
+        }
         
         // Show toggle notification
         const itemType = section === 'plugins' ? 'Plugin' : 'Theme';
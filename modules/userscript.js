@@ -0,0 +1,227 @@
+// ==Module==
+// @name         VRCX-Extended UserScript
+// @description  Imports Tampermonkey/Greasemonkey userscripts as plugins and provides their GM_* API
+// ==Module==
+
+/**
+ * Userscript module for VRCX-Extended
+ * A `==UserScript==` file is imported as a plugin with its header kept as is: @name,
+ * @description, @author, @version and @run-at are read by Metadata like any plugin header
+ * (without @run-at a userscript waits for VRCX to start, as document-idle does in Tampermonkey).
+ * @match/@include are dropped because they target URLs and VRCX is a single page.
+ *
+ * While a userscript runs it sees the common GM_* functions (and the promise based `GM.*`
+ * versions) next to `plugin` and `vrcx`. Values are kept in the plugin's own storage, styles
+ * are removed when the plugin is disabled and GM_xmlhttpRequest goes through fetch, so it
+ * is subject to CORS and to the network audit like any other request. @require and
+ * @resource are not loaded.
+ */
+window.VRCXExtended = window.VRCXExtended || {};
+
+window.VRCXExtended.UserScript = {
+  // Header keys whose content is not supported; the importer warns about them
+  UNSUPPORTED_KEYS: ['require', 'resource'],
+
+  /**
+   * Check whether code carries a ==UserScript== header
+   * @param {string} code - Source
+   * @returns {boolean} True for userscripts
+   */
+  isUserScript(code) {
+    return window.VRCXExtended.Metadata?.parseHeader(code)?.type === 'userscript';
+  },
+
+  /**
+   * Build a plugin item from a userscript
+   * @param {string} code - Userscript source
+   * @returns {Object} { item, warnings } where item has name, description, creator, code and meta
+   */
+  toPlugin(code) {
+    const metadata = window.VRCXExtended.Metadata;
+    const header = metadata.parseHeader(code);
+    if (!header || header.type !== 'userscript') {
+      throw new Error('No ==UserScript== header found');
+    }
+    if (!header.fields.name) {
+      throw new Error('The userscript has no @name');
+    }
+
+    const warnings = this.UNSUPPORTED_KEYS
+      .filter(key => header.raw[key])
+      .map(key => `@${key} is not supported (${header.raw[key].length} ignored)`);
+
+    return {
+      item: {
+        name: header.fields.name,
+        description: header.fields.description || '',
+        creator: header.fields.creator || '',
+        code,
+        meta: metadata.getItemFields(header)
+      },
+      warnings
+    };
+  },
+
+  /**
+   * Create the GM_* globals of a running userscript
+   * @param {Object} record - Running plugin record (with its `vrcx` context)
+   * @returns {Object} Globals by name
+   */
+  createApi(record) {
+    const context = record.context;
+    const storage = context?.storage || window.VRCXExtended.PluginContext.createStorage(record.id);
+
+    // Missing keys return the fallback as is (undefined when there is none), like Tampermonkey
+    const getValue = (key, fallback) => storage.keys().includes(key) ? storage.get(key) : fallback;
+    const setValue = (key, value) => storage.set(key, value);
+    const deleteValue = (key) => storage.remove(key);
+    const listValues = () => storage.keys();
+    const addStyle = (css) => context
+      ? context.addStyle(css)
+      : window.VRCXExtended.PluginContext.addStyle(record, css, null, fn => record.cleanups.push(fn));
+    const xmlhttpRequest = (details) => this.request(record, details || {});
+
+    const info = Object.freeze({
+      script: Object.freeze({
+        name: record.name,
+        description: record.meta?.description || '',
+        author: record.meta?.creator || '',
+        version: record.meta?.version || ''
+      }),
+      scriptHandler: 'VRCX-Extended',
+      // Version of the plugin context API the shims run on
+      version: String(window.VRCXExtended.PluginContext.API_VERSION)
+    });
+
+    return {
+      GM_info: info,
+      GM_getValue: getValue,
+      GM_setValue: setValue,
+      GM_deleteValue: deleteValue,
+      GM_listValues: listValues,
+      GM_addStyle: addStyle,
+      GM_xmlhttpRequest: xmlhttpRequest,
+      GM: Object.freeze({
+        info,
+        getValue: async (key, fallback) => getValue(key, fallback),
+        setValue: async (key, value) => setValue(key, value),
+        deleteValue: async (key) => deleteValue(key),
+        listValues: async () => listValues(),
+        addStyle: async (css) => addStyle(css),
+        xmlHttpRequest: (details) => new Promise((resolve, reject) => {
+          xmlhttpRequest({
+            ...details,
+            onload: (response) => {
+              details.onload?.(response);
+              resolve(response);
+            },
+            onerror: (response) => {
+              details.onerror?.(response);
+              reject(response);
+            },
+            ontimeout: (response) => {
+              details.ontimeout?.(response);
+              reject(response);
+            }
+          });
+        })
+      }),
+      unsafeWindow: window
+    };
+  },
+
+  /**
+   * GM_xmlhttpRequest on top of fetch
+   * @param {Object} record - Running plugin record
+   * @param {Object} details - { url, method, headers, data, responseType, timeout, anonymous,
+   *   onload, onerror, ontimeout, onabort, onloadend, context }
+   * @returns {Object} { abort }
+   */
+  request(record, details) {
+    const errors = window.VRCXExtended.PluginErrors;
+    const audit = window.VRCXExtended.NetworkAudit;
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    // Callbacks run later, so attribute their errors and requests to the plugin explicitly
+    const callback = (name, response) => {
+      const fn = details[name];
+      if (typeof fn !== 'function') return;
+      let wrapped = errors ? errors.wrap(record.id, fn, 'request') : fn;
+      wrapped = audit ? audit.wrap(record.id, wrapped) : wrapped;
+      wrapped.call(response, response);
+    };
+    const failure = (error) => ({
+      readyState: 4,
+      status: 0,
+      statusText: '',
+      responseHeaders: '',
+      response: null,
+      responseText: '',
+      finalUrl: details.url,
+      context: details.context,
+      error: error?.message || String(error)
+    });
+
+    if (details.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, details.timeout);
+    }
+
+    fetch(details.url, {
+      method: details.method || 'GET',
+      headers: details.headers,
+      body: details.data,
+      credentials: details.anonymous ? 'omit' : 'include',
+      signal: controller.signal
+    })
+      .then(async (res) => {
+        const type = details.responseType || 'text';
+        const text = type === 'text' || type === 'json' ? await res.text() : null;
+        let body = text;
+        if (type === 'json') {
+          try {
+            body = JSON.parse(text);
+          } catch {
+            body = null;
+          }
+        } else if (type === 'blob') {
+          body = await res.blob();
+        } else if (type === 'arraybuffer') {
+          body = await res.arrayBuffer();
+        }
+
+        const response = {
+          readyState: 4,
+          status: res.status,
+          statusText: res.statusText,
+          responseHeaders: [...res.headers].map(([key, value]) => `${key}: ${value}`).join('\r\n'),
+          response: body,
+          responseText: text ?? '',
+          finalUrl: res.url,
+          context: details.context
+        };
+        callback('onload', response);
+        callback('onloadend', response);
+      })
+      .catch((error) => {
+        const response = failure(error);
+        if (timedOut) {
+          callback('ontimeout', response);
+        } else if (error?.name === 'AbortError') {
+          callback('onabort', response);
+        } else {
+          callback('onerror', response);
+        }
+        callback('onloadend', response);
+      })
+      .finally(() => clearTimeout(timer));
+
+    return {
+      abort: () => controller.abort()
+    };
+  }
+};
@@ -299,6 +299,41 @@ window.VRCXExtended.Utils = {
       notification.style.cursor = 'pointer';
       notification.title = 'Click to dismiss';
     }
+    return notification;
+  },
+
+  /**
+   * Show a notification with an Undo button
+   * @param {string} message - Notification message (HTML)
+   * @param {Function} onUndo - Called when Undo is clicked
+   * @param {number} timeout - Auto-close timeout in milliseconds
+   */
+  showUndoNotification(message, onUndo, timeout = 8000) {
+    if (typeof Noty !== 'undefined') {
+      const noty = new Noty({
+        type: 'info',
+        text: message,
+        timeout: timeout,
+        buttons: [
+          Noty.button('Undo', 'btn btn-default btn-sm', () => {
+            noty.close();
+            onUndo();
+          })
+        ]
+      });
+      noty.show();
+      return;
+    }
+
+    const notification = this.showFallbackNotification(message + ' ', 'info', timeout);
+    const undo = document.createElement('button');
+    undo.textContent = 'Undo';
+    undo.style.cssText = 'margin-left: 8px; padding: 2px 10px; border: 1px solid currentColor; border-radius: 4px; background: transparent; color: inherit; cursor: pointer;';
+    undo.addEventListener('click', () => {
+      undo.disabled = true;
+      onUndo();
+    });
+    notification.appendChild(undo);
   },
 
   /**
@@ -315,6 +350,16 @@ window.VRCXExtended.Utils = {
     return div.innerHTML;
   },
 
+  /**
+   * Turn a name into a lowercase, dash separated slug
+   * @param {string} text - Text to convert
+   * @param {string} fallback - Returned when nothing usable is left
+   * @returns {string} Slug
+   */
+  slugify(text, fallback = '') {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || fallback;
+  },
+
   /**
    * Safe console logging for cross-window scenarios
    * @param {string} level - Log level (log, warn, error, info)
@@ -4,7 +4,12 @@
 // @description  Creates background divs with avatar images for friend items using the card-bg class.
 // @creator      SocialVR Labs
 // @dateCreated  2025-08-26T11:45:00Z
-// @dateUpdated  2025-08-26T13:30:00Z
+// @dateUpdated  2026-10-19T12:00:00Z
+// @version      1.2.1
+// @grant        dom
+// @setting      opacity number(0,1,0.05) 0.15 Background opacity
+// @setting      fade select(to-right|to-left|none) to-right Fade direction
+// @setting      gap number(0,20,1) 3 Gap between cards (px)
 // ==PLUGIN==
 //
 
@@ -14,6 +19,23 @@
   
   console.log('User Profile Card Background plugin loaded!');
   
+  // User settings declared with @setting in the header
+  const settings = Object.assign({
+    opacity: 0.15,
+    fade: 'to-right',
+    gap: 3
+  }, typeof plugin !== 'undefined' && plugin ? plugin.settings : {});
+  const mask = settings.fade === 'none'
+    ? 'none'
+    : `linear-gradient(${settings.fade.replace('-', ' ')}, transparent 0%, rgba(255,255,255,1) 100%)`;
+  
+  // Resources to release when the plugin is disabled
+  let observer = null;
+  let updateInterval = null;
+  
+  // VRCX-Extended helpers; observers and timers created through them show up in the Performance view
+  const helpers = typeof vrcx !== 'undefined' && vrcx ? vrcx : null;
+  
   // Inject CSS styles
   function injectCSS() {
     const cssContent = `
@@ -34,14 +56,14 @@
         width: 100%;
         height: 100%;
         z-index: -1;
-        opacity: 0.15;
+        opacity: ${settings.opacity};
         border-radius: inherit;
         background-image: var(--avatar-bg-image);
         background-size: cover;
         background-position: center;
         background-repeat: no-repeat;
-        mask: linear-gradient(to right, transparent 0%, rgba(255,255,255,1) 100%);
-        -webkit-mask: linear-gradient(to right, transparent 0%, rgba(255,255,255,1) 100%);
+        mask: ${mask};
+        -webkit-mask: ${mask};
         border-radius: 12px;
       }
 
@@ -86,7 +108,7 @@
   function addGapToParent(friendItem) {
     const parent = friendItem.parentElement;
     if (parent) {
-      parent.style.gap = '3px';
+      parent.style.gap = settings.gap + 'px';
       parent.style.display = 'flex';
       parent.style.flexDirection = 'column';
       parent.setAttribute('data-vrcx-gap-added', 'true');
@@ -124,7 +146,7 @@
   
   // Function to observe DOM changes and process new friend items
   function observeFriendItems() {
-    const observer = new MutationObserver((mutations) => {
+    const onMutations = (mutations) => {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
           // Check if the added node is an element
@@ -140,13 +162,19 @@
           }
         });
       });
-    });
+    };
     
     // Start observing the document body for changes
-    observer.observe(document.body, {
+    const options = {
       childList: true,
       subtree: true
-    });
+    };
+    if (helpers) {
+      observer = helpers.observe(document.body, onMutations, options);
+    } else {
+      observer = new MutationObserver(onMutations);
+      observer.observe(document.body, options);
+    }
   }
   
   // Initialize the plugin
@@ -161,11 +189,42 @@
     observeFriendItems();
     
     // Set up periodic check for image URL changes
-    setInterval(checkImageUpdates, 500);
+    updateInterval = helpers ? helpers.setInterval(checkImageUpdates, 500) : setInterval(checkImageUpdates, 500);
     
     console.log('User Profile Card Background plugin initialized!');
   }
   
+  // Remove the styles, observer and card backgrounds again
+  function destroy() {
+    document.removeEventListener('DOMContentLoaded', init);
+    
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    clearInterval(updateInterval);
+    
+    const style = document.getElementById('vrcx-plugin-user-profile-card-bg-css');
+    if (style) {
+      style.remove();
+    }
+    
+    document.querySelectorAll('.x-friend-item.card-bg').forEach(friendItem => {
+      friendItem.classList.remove('card-bg');
+      friendItem.style.removeProperty('--avatar-bg-image');
+      friendItem.removeAttribute('data-current-avatar-url');
+    });
+    
+    document.querySelectorAll('[data-vrcx-gap-added]').forEach(parent => {
+      parent.style.removeProperty('gap');
+      parent.style.removeProperty('display');
+      parent.style.removeProperty('flex-direction');
+      parent.removeAttribute('data-vrcx-gap-added');
+    });
+    
+    console.log('User Profile Card Background plugin disabled');
+  }
+  
   // Wait for DOM to be ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -173,4 +232,9 @@
     init();
   }
   
+  // Undo the plugin when VRCX-Extended disables it
+  if (typeof plugin !== 'undefined' && plugin) {
+    plugin.onDisable(destroy);
+  }
+  
 })();
\ No newline at end of file
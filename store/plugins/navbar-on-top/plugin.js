@@ -4,7 +4,12 @@
 // @description  Moves the navbar to the top of the app.
 // @creator      VRCX Community
 // @dateCreated  2025-08-26T10:30:00Z
-// @dateUpdated  2025-08-26T10:30:00Z
+// @dateUpdated  2026-10-19T12:00:00Z
+// @version      1.3.2
+// @run-at       app-mounted
+// @grant        dom
+// @setting      navbarHeight number(40,120,1) 60 Navbar height (px)
+// @setting      itemMinWidth number(30,200,1) 60 Minimum menu item width (px)
 // ==PLUGIN==
 //
 
@@ -23,12 +28,45 @@
     transitionDuration: '300ms'
   };
   
+  // User settings declared with @setting in the header
+  const settings = Object.assign({
+    navbarHeight: 60,
+    itemMinWidth: 60
+  }, typeof plugin !== 'undefined' && plugin ? plugin.settings : {});
+  const navbarHeight = settings.navbarHeight + 'px';
+  const itemMinWidth = settings.itemMinWidth + 'px';
+  
   // Plugin state
   let isInitialized = false;
-  let originalStyles = {};
+  let originalStyles = new Map();
+  let originalParent = null;
+  let originalNextSibling = null;
   let navbarElement = null;
   let appElement = null;
   let asideElement = null;
+  let tooltipObserver = null;
+  let observers = [];
+  let intervals = [];
+  
+  // VRCX-Extended helpers; observers and timers created through them show up in the Performance view
+  const helpers = typeof vrcx !== 'undefined' && vrcx ? vrcx : null;
+  
+  /**
+   * Observe DOM changes, through the VRCX-Extended helpers when available
+   */
+  function observe(target, callback, options) {
+    if (helpers) return helpers.observe(target, callback, options);
+    const observer = new MutationObserver(callback);
+    observer.observe(target, options);
+    return observer;
+  }
+  
+  /**
+   * Repeat a function, through the VRCX-Extended helpers when available
+   */
+  function every(callback, delay) {
+    return helpers ? helpers.setInterval(callback, delay) : setInterval(callback, delay);
+  }
   
   /**
    * Initialize the plugin
@@ -36,20 +74,19 @@
   function init() {
     if (isInitialized) return;
     
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', init);
-      return;
-    }
-    
-    // Find required elements
+    // Find required elements (@run-at app-mounted: the loader starts us once the app is there)
     navbarElement = document.querySelector(config.navbarClass);
     appElement = document.querySelector(config.appClass);
     asideElement = document.querySelector(config.asideClass);
     
+    if (!navbarElement && appElement && helpers) {
+      // The menu can still be rendering right after the app mounts
+      helpers.waitForElement(config.navbarClass, { timeout: 0 }).then(init);
+      return;
+    }
+    
     if (!navbarElement || !appElement) {
-      console.warn('Navbar on Top: Required elements not found, retrying...');
-      setTimeout(init, 1000);
+      console.warn('Navbar on Top: Required elements not found');
       return;
     }
     
@@ -73,31 +110,63 @@
   }
   
   /**
-   * Store original styles for potential restoration
+   * Remember an element's inline style so it can be restored on disable
+   * @param {HTMLElement} element - Element about to be restyled
+   */
+  function rememberStyle(element) {
+    if (element && !originalStyles.has(element)) {
+      originalStyles.set(element, element.style.cssText);
+    }
+  }
+  
+  /**
+   * Store original styles and navbar position for restoration
    */
   function storeOriginalStyles() {
-    originalStyles.navbar = {
-      position: navbarElement.style.position,
-      top: navbarElement.style.top,
-      left: navbarElement.style.left,
-      width: navbarElement.style.width,
-      height: navbarElement.style.height,
-      transform: navbarElement.style.transform,
-      zIndex: navbarElement.style.zIndex
-    };
+    originalParent = navbarElement.parentNode;
+    originalNextSibling = navbarElement.nextSibling;
     
-    originalStyles.app = {
-      display: appElement.style.display,
-      flexDirection: appElement.style.flexDirection,
-      alignItems: appElement.style.alignItems
-    };
+    rememberStyle(navbarElement);
+    rememberStyle(appElement);
+    rememberStyle(asideElement);
     
-    if (asideElement) {
-      originalStyles.aside = {
-        marginTop: asideElement.style.marginTop,
-        height: asideElement.style.height
-      };
+    const menuElement = navbarElement.querySelector('.el-menu');
+    if (menuElement) {
+      rememberStyle(menuElement);
+      menuElement.querySelectorAll('.el-menu-item, .el-menu-item i').forEach(rememberStyle);
+    }
+  }
+  
+  /**
+   * Undo everything the plugin changed (runs when the plugin is disabled)
+   */
+  function destroy() {
+    observers.forEach(observer => observer.disconnect());
+    observers = [];
+    tooltipObserver = null;
+    intervals.forEach(clearInterval);
+    intervals = [];
+    
+    const style = document.getElementById('navbar-on-top-styles');
+    if (style) {
+      style.remove();
+    }
+    
+    if (!isInitialized) return;
+    
+    originalStyles.forEach((cssText, element) => {
+      element.style.cssText = cssText;
+    });
+    originalStyles.clear();
+    
+    // Put the navbar back where it was
+    if (originalParent && navbarElement.parentNode !== originalParent) {
+      const before = originalNextSibling && originalNextSibling.parentNode === originalParent ? originalNextSibling : null;
+      originalParent.insertBefore(navbarElement, before);
     }
+    
+    isInitialized = false;
+    console.log('Navbar on Top plugin disabled');
   }
   
   /**
@@ -114,7 +183,7 @@
     navbarElement.style.setProperty('top', '0', 'important');
     navbarElement.style.setProperty('left', '0', 'important');
     navbarElement.style.setProperty('width', '100%', 'important');
-    navbarElement.style.setProperty('height', '60px', 'important');
+    navbarElement.style.setProperty('height', navbarHeight, 'important');
     navbarElement.style.setProperty('z-index', '1000', 'important');
     
           // Modify navbar menu to be horizontal
@@ -134,7 +203,7 @@
         item.style.setProperty('align-items', 'center', 'important');
         item.style.setProperty('justify-content', 'center', 'important');
         item.style.setProperty('height', '100%', 'important');
-        item.style.setProperty('min-width', '60px', 'important');
+        item.style.setProperty('min-width', itemMinWidth, 'important');
         item.style.setProperty('padding', '0 0px', 'important');
         item.style.setProperty('margin', '0', 'important');
         
@@ -147,13 +216,13 @@
     }
     
     // Adjust app container to account for top navbar
-    appElement.style.setProperty('margin-top', '60px', 'important');
-    appElement.style.setProperty('min-height', 'calc(100vh - 60px)', 'important');
+    appElement.style.setProperty('margin-top', navbarHeight, 'important');
+    appElement.style.setProperty('min-height', `calc(100vh - ${navbarHeight})`, 'important');
     
     // Adjust aside container if it exists
     if (asideElement) {
       asideElement.style.setProperty('margin-top', '0', 'important');
-      asideElement.style.setProperty('height', 'calc(100vh - 60px)', 'important');
+      asideElement.style.setProperty('height', `calc(100vh - ${navbarHeight})`, 'important');
     }
   }
   
@@ -178,7 +247,7 @@
         top: 0 !important;
         left: 0 !important;
         width: 100% !important;
-        height: 60px !important;
+        height: ${navbarHeight} !important;
         z-index: 1000 !important;
       }
       
@@ -200,7 +269,7 @@
         align-items: center !important;
         justify-content: center !important;
         height: 100% !important;
-        min-width: 60px !important;
+        min-width: ${itemMinWidth} !important;
         padding: 0 0px !important;
         margin: 0 !important;
       }
@@ -210,13 +279,13 @@
       }
       
       .x-app {
-        margin-top: 60px !important;
-        height: calc(100vh - 60px) !important;
+        margin-top: ${navbarHeight} !important;
+        height: calc(100vh - ${navbarHeight}) !important;
       }
       
       .x-aside-container {
         margin-top: 0 !important;
-        height: calc(100vh - 60px) !important;
+        height: calc(100vh - ${navbarHeight}) !important;
       }
       
       /* Hide tooltips that appear on the right side */
@@ -232,8 +301,9 @@
    * Fix tooltip positioning for top navbar
    */
   function fixTooltipPositioning() {
-    // Set up a global observer to catch all tooltip creations and attribute changes
-    const tooltipObserver = new MutationObserver((mutations) => {
+    // One global observer is enough to catch all tooltip creations and attribute changes
+    if (tooltipObserver || !isInitialized) return;
+    const onTooltipMutations = (mutations) => {
       mutations.forEach((mutation) => {
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach((node) => {
@@ -303,15 +373,16 @@
           }
         }
       });
-    });
+    };
     
     // Observe the body for tooltip additions and attribute changes
-    tooltipObserver.observe(document.body, { 
+    tooltipObserver = observe(document.body, onTooltipMutations, { 
       childList: true, 
       subtree: true, 
       attributes: true, 
       attributeFilter: ['aria-hidden'] 
     });
+    observers.push(tooltipObserver);
   }
   
   /**
@@ -319,17 +390,19 @@
    */
   function setupObservers() {
     // Observe for new menu items being added
-    const menuObserver = new MutationObserver((mutations) => {
+    const onMenuMutations = (mutations) => {
       mutations.forEach((mutation) => {
         if (mutation.type === 'childList') {
           mutation.addedNodes.forEach((node) => {
             if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('el-menu-item')) {
+               rememberStyle(node);
+               rememberStyle(node.querySelector('i'));
                              // Apply styles to new menu items
                node.style.setProperty('display', 'flex', 'important');
                node.style.setProperty('align-items', 'center', 'important');
                node.style.setProperty('justify-content', 'center', 'important');
                node.style.setProperty('height', '100%', 'important');
-               node.style.setProperty('min-width', '60px', 'important');
+               node.style.setProperty('min-width', itemMinWidth, 'important');
                node.style.setProperty('padding', '0 15px', 'important');
                node.style.setProperty('margin', '0', 'important');
                
@@ -344,18 +417,18 @@
           });
         }
       });
-    });
+    };
     
     const menuElement = navbarElement.querySelector('.el-menu');
     if (menuElement) {
-      menuObserver.observe(menuElement, { childList: true, subtree: true });
+      observers.push(observe(menuElement, onMenuMutations, { childList: true, subtree: true }));
     }
     
     // Initial tooltip fix
     setTimeout(fixTooltipPositioning, 100);
     
     // Continuously fix tooltip positioning for navbar items
-    setInterval(() => {
+    intervals.push(every(() => {
       // Check for any visible tooltip
       const tooltip = document.querySelector('.el-tooltip__popper[aria-hidden="false"]');
       if (tooltip) {
@@ -393,7 +466,7 @@
           }
         }
       }
-    }, 16); // ~60fps for smooth positioning
+    }, 16)); // ~60fps for smooth positioning
   }
   
 
@@ -401,9 +474,15 @@
   // Initialize when script loads
   init();
   
+  // Undo the plugin when VRCX-Extended disables it
+  if (typeof plugin !== 'undefined' && plugin) {
+    plugin.onDisable(destroy);
+  }
+  
   // Expose init function for potential plugin management
   window.NavbarOnTopPlugin = {
-    init
+    init,
+    destroy
   };
   
 })();
\ No newline at end of file